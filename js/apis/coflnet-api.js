@@ -2,29 +2,139 @@
  * Price API Manager
  * 
  * Unified API for fetching Hypixel Skyblock item prices from both bazaar and auction house.
- * - Bazaar prices: Fetched from Hypixel API
- * - Auction prices: Fetched from Coflnet API
+ * - Bazaar prices: Fetched from Hypixel API (HypixelBazaarProvider)
+ * - Auction prices: Fetched from Coflnet API (CoflnetAuctionProvider)
+ * Either can be replaced by another provider, e.g. a SnapshotPriceProvider for offline use.
+ * See price-providers.js for the provider interface.
+ * 
+ * Prices are persisted in IndexedDB (PriceCacheStore). On load, cached prices are served
+ * immediately and refreshed in the background (stale-while-revalidate); every price keeps
+ * its own timestamp so the UI can show its age and flag it once it's older than maxCacheAge.
+ * 
+ * Prices the page has asked for are also appended to a local history (PriceHistoryStore), see
+ * getHistory(). The rest of the bazaar isn't recorded, it's over a thousand products a minute.
+ * 
+ * Every provider request goes through a shared RequestScheduler (concurrency limit, retries
+ * with backoff, in-flight dedup and per-provider rate budgets).
+ * 
+ * Subscribe to price changes with priceAPI.on('update', ({ changes }) => ...). Each change is
+ * { tag, source, previous, current, delta } where the prices are { instantBuy, instantSell }
+ * (auction changes carry the lowest BIN as instantBuy and the median recent sale as instantSell).
+ * Changes are batched for UPDATE_BATCH_DELAY ms.
+ * 
+ * Auction items are priced from an AuctionQuote (see buildAuctionQuote): the lowest BIN plus
+ * statistics over the item's recent sales. Calculators pick how to value it with one of
+ * PriceAPI.AUCTION_STRATEGIES, see valueAuction(). Recent sales cost a second request per item,
+ * so they're only fetched for items valued with one of SALES_STRATEGIES (see loadAuctionSales).
+ * 
+ * Bazaar items that are easy to manipulate (wide spread, thin weekly volume, or a big jump
+ * from their recent average) are flagged by getMarketFlags(), see MARKET_FLAG_LIMITS.
+ * 
+ * Every calculator page prices through window.globalPriceAPI, except the forge calculator which
+ * prices in a Web Worker (forge-worker.js) with its own instance. Pages open in other tabs share
+ * live fetches over a BroadcastChannel, so they run one refresh cycle between them.
  * 
  * Usage:
  * const priceAPI = new PriceAPI();
  * await priceAPI.initialize();
  * const price = await priceAPI.getPrice('HYPERION', 'auction');
+ * const quote = priceAPI.getQuote('ENCHANTED_MITHRIL');
+ * const value = await priceAPI.getAuctionValue('HYPERION', 'median');
+ *
+ * Bazaar sides (see PriceAPI.BAZAAR_SIDES):
+ * - instantBuy:  pay the lowest sell offer right now
+ * - buyOrder:    place a buy order at the highest existing buy order
+ * - instantSell: receive the highest buy order right now
+ * - sellOffer:   list a sell offer at the lowest existing sell offer
  */
 class PriceAPI {
-    constructor() {
-        this.baseURL = 'https://sky.coflnet.com/api';
+    /**
+     * @param {Object} options
+     * @param {Object} options.bazaarProvider - Bazaar data source (defaults to the live Hypixel API)
+     * @param {Object} options.auctionProvider - Auction data source (defaults to the live Coflnet API)
+     * @param {Object} options.cacheStore - Persistent cache (defaults to IndexedDB when available, null disables it)
+     * @param {number} options.maxCacheAge - Age in ms after which a price is marked stale
+     * @param {RequestScheduler} options.scheduler - Shared scheduler for provider requests
+     * @param {Object} options.historyStore - Price history (defaults to IndexedDB when available, null disables it)
+     * @param {ItemRegistry} options.itemRegistry - Name-to-tag resolution (defaults to the shared registry)
+     */
+    constructor(options = {}) {
+        this.bazaarProvider = options.bazaarProvider || new HypixelBazaarProvider();
+        this.auctionProvider = options.auctionProvider || new CoflnetAuctionProvider();
         
-        // Separate caches for bazaar and auction prices
-        this.bazaarPrices = {};
+        // Persistent cache shared between page loads
+        if ('cacheStore' in options) {
+            this.cacheStore = options.cacheStore;
+        } else {
+            const canPersist = typeof PriceCacheStore !== 'undefined' && PriceCacheStore.isSupported();
+            this.cacheStore = canPersist ? new PriceCacheStore() : null;
+        }
+        // Local price history
+        if ('historyStore' in options) {
+            this.historyStore = options.historyStore;
+        } else {
+            const canRecord = typeof PriceHistoryStore !== 'undefined' && PriceHistoryStore.isSupported();
+            this.historyStore = canRecord ? new PriceHistoryStore() : null;
+        }
+        
+        this.maxCacheAge = options.maxCacheAge !== undefined ? options.maxCacheAge : 15 * 60 * 1000; // 15 minutes
+        
+        this.scheduler = options.scheduler || new RequestScheduler({
+            maxConcurrent: 4,
+            rateLimits: {
+                // Keep well under Coflnet's public API rate limit
+                coflnet: { requests: 20, perMs: 10 * 1000 },
+                // The bazaar endpoint only updates every ~20 seconds
+                hypixel: { requests: 6, perMs: 60 * 1000 }
+            }
+        });
+        
+        // Raw provider data, kept so the current prices can be exported as a snapshot
+        this.bazaarProducts = {};
+        this.auctionResponses = {};
+        this.auctionSales = {};
+        
+        // Separate caches for bazaar quotes and auction prices.
+        // auctionPrices holds lowest BINs (null until fetched), auctionQuotes the full AuctionQuotes.
+        this.bazaarQuotes = {};
         this.auctionPrices = {};
+        this.auctionQuotes = {};
         this.lastBazaarFetch = 0;
         this.lastAuctionFetch = 0;
         this.cacheExpiry = 60000; // 1 minute cache for auto-refresh
+        this.auctionItemsExpiry = 60 * 60 * 1000; // The auction item list rarely changes, refresh it hourly
         this.autoRefreshInterval = null;
         
-        // Items database for name-to-tag conversion
-        this.itemsDatabase = null;
-        this.itemsDatabaseLoaded = false;
+        // Tags the page has asked a price for (see getQuote and getAuctionQuote), only these are recorded
+        this.pricedTags = new Set();
+        
+        // Auction tags valued with one of SALES_STRATEGIES, their recent sales are fetched with the price
+        this.salesTags = new Set();
+        
+        // Per-item fetch timestamps (ms), used for price ages and staleness
+        this.bazaarTimestamps = {};
+        this.auctionTimestamps = {};
+        
+        // Background refreshes still running (see whenRefreshed)
+        this.pendingRefreshes = new Set();
+        
+        // Event listeners and changes waiting to be emitted as one 'update' event
+        this.listeners = {};
+        this.pendingChanges = new Map();
+        this.updateTimer = null;
+        
+        // Live fetches shared with pages open in other tabs (and with pages pricing inside a worker)
+        const inBrowser = typeof window !== 'undefined' || typeof WorkerGlobalScope !== 'undefined';
+        if (inBrowser && typeof BroadcastChannel !== 'undefined') {
+            this.channel = new BroadcastChannel(PriceAPI.CHANNEL_NAME);
+            this.channel.onmessage = (event) => this.receiveSharedPrices(event.data);
+        } else {
+            this.channel = null;
+        }
+        
+        // Name-to-tag resolution, shared with the calculators in the browser
+        const sharedRegistry = typeof window !== 'undefined' ? window.globalItemRegistry : null;
+        this.itemRegistry = options.itemRegistry || sharedRegistry || new ItemRegistry();
         
         // Status tracking
         this.isInitialized = false;
@@ -37,8 +147,8 @@ class PriceAPI {
         }
 
         try {
-            await this.loadItemsDatabase();
-            // Load initial price data (always fresh fetch)
+            await this.itemRegistry.load();
+            // Load initial price data (cached data first when available)
             await this.loadAllPrices();
             this.isInitialized = true;
             return true;
@@ -49,156 +159,455 @@ class PriceAPI {
     }
     
     /**
-     * Fetch all bazaar prices directly from Hypixel API
-     * (Coflnet doesn't have a bazaar bulk endpoint)
+     * Replace the data sources and drop everything cached from the old ones
+     * @param {Object} providers - { bazaarProvider, auctionProvider, cacheStore, historyStore }, any may be omitted.
+     *                             Pass cacheStore/historyStore: null to stop persisting (e.g. for snapshot data).
+     */
+    setProviders(providers) {
+        if (providers.bazaarProvider) {
+            this.bazaarProvider = providers.bazaarProvider;
+        }
+        if (providers.auctionProvider) {
+            this.auctionProvider = providers.auctionProvider;
+        }
+        if ('cacheStore' in providers) {
+            this.cacheStore = providers.cacheStore;
+        }
+        if ('historyStore' in providers) {
+            this.historyStore = providers.historyStore;
+        }
+        this.clearCache();
+    }
+
+    /**
+     * Fetch time for data from a provider.
+     * Snapshots carry their own creation time so their prices show their real age.
+     */
+    getProviderTimestamp(provider, now) {
+        return provider.createdAt !== undefined ? provider.createdAt : now;
+    }
+    
+    /**
+     * Fetch all bazaar prices from the bazaar provider
      */
     async fetchBazaarPrices() {
         const now = Date.now();
         
-        console.log('⟳ Fetching bazaar prices from Hypixel API...');
+        console.log(`⟳ Fetching bazaar prices from ${this.bazaarProvider.name}...`);
         
         try {
-            // Use Hypixel's direct bazaar API
-            const response = await fetch('https://api.hypixel.net/skyblock/bazaar');
-            
-            if (!response.ok) {
-                throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-            }
+            const provider = this.bazaarProvider;
+            const products = await this.scheduler.schedule(
+                `${provider.name}:bazaar`, provider.name, () => provider.fetchBazaarProducts()
+            );
+            const timestamp = this.getProviderTimestamp(this.bazaarProvider, now);
             
-            const data = await response.json();
+            const quotes = this.applyBazaarProducts(products, timestamp);
+            this.lastBazaarFetch = now;
             
-            if (!data.success || !data.products) {
-                throw new Error('Invalid bazaar response');
+            if (this.isLiveProvider(provider)) {
+                this.shareLivePrices({ type: 'bazaar', products, timestamp });
             }
             
-            const priceMap = {};
-            
-            // Parse Hypixel bazaar response
-            for (const [itemId, product] of Object.entries(data.products)) {
-                // Use buy orders (instant sell price) as the primary price
-                if (product.buy_summary && product.buy_summary.length > 0) {
-                    priceMap[itemId] = product.buy_summary[0].pricePerUnit;
-                }
-                // Fallback to sell orders (instant buy price)
-                else if (product.sell_summary && product.sell_summary.length > 0) {
-                    priceMap[itemId] = product.sell_summary[0].pricePerUnit;
-                } else {
-                    priceMap[itemId] = 0;
-                }
+            if (this.cacheStore) {
+                this.cacheStore.saveBazaar(products, timestamp).catch(error => {
+                    console.error('Failed to persist bazaar prices:', error);
+                });
             }
             
-            this.bazaarPrices = priceMap;
-            this.lastBazaarFetch = now;
+            this.recordHistory(Object.values(quotes).filter(quote => this.pricedTags.has(quote.tag)), timestamp);
             
-            console.log(`✓ Cached ${Object.keys(priceMap).length} bazaar items from Hypixel`);
+            console.log(`✓ Cached ${Object.keys(quotes).length} bazaar quotes from ${this.bazaarProvider.name}`);
             
-            return priceMap;
+            return quotes;
             
         } catch (error) {
-            console.error('Failed to fetch bazaar prices from Hypixel:', error);
-            this.bazaarPrices = {};
-            return {};
+            // Keep whatever was loaded before (e.g. from the persistent cache); its age shows it's stale
+            console.error(`Failed to fetch bazaar prices from ${this.bazaarProvider.name}:`, error);
+            this.bazaarQuotes = this.bazaarQuotes || {};
+            return this.bazaarQuotes;
+        }
+    }
+
+    /**
+     * Replace the bazaar data with a full products response
+     * @returns {Object} Product ID -> quote
+     */
+    applyBazaarProducts(products, timestamp) {
+        const previousQuotes = this.bazaarQuotes || {};
+        const quotes = {};
+        const timestamps = {};
+        
+        // Parse Hypixel bazaar response into full quotes
+        for (const [itemId, product] of Object.entries(products)) {
+            quotes[itemId] = this.parseBazaarProduct(itemId, product);
+            timestamps[itemId] = timestamp;
+            
+            const previous = previousQuotes[itemId];
+            if (previous) {
+                this.queueChange(itemId, 'bazaar', previous, quotes[itemId]);
+            }
+        }
+        
+        this.bazaarProducts = products;
+        this.bazaarQuotes = quotes;
+        this.bazaarTimestamps = timestamps;
+        
+        return quotes;
+    }
+
+    /**
+     * Build a quote from a single Hypixel bazaar product.
+     * Hypixel names the books from the order's point of view:
+     * `buy_summary` holds sell offers (what an instant buy consumes) and
+     * `sell_summary` holds buy orders (what an instant sell consumes).
+     * @param {string} itemId - Bazaar product ID
+     * @param {Object} product - Raw product from the Hypixel response
+     * @returns {Object} Bazaar quote
+     */
+    parseBazaarProduct(itemId, product) {
+        const sellOffers = product.buy_summary || [];
+        const buyOrders = product.sell_summary || [];
+        const status = product.quick_status || {};
+        
+        // null means that side of the book is empty right now
+        const topSellOrder = sellOffers.length > 0 ? sellOffers[0].pricePerUnit : null;
+        const topBuyOrder = buyOrders.length > 0 ? buyOrders[0].pricePerUnit : null;
+        
+        return {
+            tag: itemId,
+            instantBuy: topSellOrder,
+            instantSell: topBuyOrder,
+            topBuyOrder,
+            topSellOrder,
+            spread: topSellOrder !== null && topBuyOrder !== null ? topSellOrder - topBuyOrder : null,
+            buyVolume: status.buyVolume,
+            sellVolume: status.sellVolume,
+            buyMovingWeek: status.buyMovingWeek,
+            sellMovingWeek: status.sellMovingWeek,
+            buyOrders: status.buyOrders,
+            sellOrders: status.sellOrders,
+            // Order book levels ({ amount, pricePerUnit, orders }), best price first
+            sellOfferLevels: sellOffers,
+            buyOrderLevels: buyOrders
+        };
+    }
+
+    /**
+     * Get the full bazaar quote for an item
+     * @param {string} itemTag - Bazaar product ID
+     * @returns {Object|null} Quote, or null if the item isn't on the bazaar
+     */
+    getQuote(itemTag) {
+        this.pricedTags.add(itemTag);
+        if (!this.bazaarQuotes) {
+            return null;
+        }
+        return this.bazaarQuotes[itemTag] || null;
+    }
+
+    /**
+     * Get the bazaar price for one side of the book
+     * @param {string} itemTag - Bazaar product ID
+     * @param {string} side - One of PriceAPI.BAZAAR_SIDES
+     * @returns {number} Price per unit, or 0 if that side of the book is empty
+     */
+    getBazaarPrice(itemTag, side) {
+        if (!PriceAPI.BAZAAR_SIDES.includes(side)) {
+            throw new Error(`Unknown bazaar side: ${side}`);
+        }
+        
+        const quote = this.getQuote(itemTag);
+        if (!quote) {
+            return 0;
+        }
+        
+        switch (side) {
+            case 'instantBuy':
+            case 'sellOffer':
+                return quote.topSellOrder || 0;
+            case 'instantSell':
+            case 'buyOrder':
+                return quote.topBuyOrder || 0;
         }
     }
     
     /**
-     * Fetch all auction prices from Coflnet using their items endpoint
+     * Fetch the list of auction items from the auction provider
      */
     async fetchAuctionPrices() {
         const now = Date.now();
         
-        console.log('⟳ Fetching auction prices from Coflnet...');
+        // Prices are fetched on-demand, so the item list only needs an occasional refresh
+        if (this.auctionPrices && now - this.lastAuctionFetch < this.auctionItemsExpiry) {
+            return this.auctionPrices;
+        }
+        
+        console.log(`⟳ Fetching auction prices from ${this.auctionProvider.name}...`);
         
         try {
-            // Coflnet's items endpoint gives us a list of all items
-            const response = await fetch(`${this.baseURL}/items`);
-            
-            if (!response.ok) {
-                throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-            }
-            
-            const items = await response.json();
+            const provider = this.auctionProvider;
+            const itemTags = await this.scheduler.schedule(
+                `${provider.name}:auction-items`, provider.name, () => provider.fetchAuctionItems()
+            );
             const priceMap = {};
             
             // For each item, we'll need to get its price
             // But we'll do this on-demand to avoid too many requests
-            // For now, just store the item list
-            if (Array.isArray(items)) {
-                items.forEach(item => {
-                    if (item.tag) {
-                        priceMap[item.tag] = null; // Will be fetched on-demand
-                    }
-                });
-            }
+            // Prices we already have are kept, their timestamps decide when they're refreshed
+            itemTags.forEach(itemTag => {
+                const existing = this.auctionPrices ? this.auctionPrices[itemTag] : undefined;
+                priceMap[itemTag] = existing !== undefined ? existing : null; // null = fetched on-demand
+            });
             
-            this.auctionPrices = priceMap;
+            this.auctionPrices = { ...this.auctionPrices, ...priceMap };
             this.lastAuctionFetch = now;
             
-            console.log(`✓ Loaded ${Object.keys(priceMap).length} auction item tags from Coflnet (prices on-demand)`);
+            console.log(`✓ Loaded ${Object.keys(priceMap).length} auction item tags from ${this.auctionProvider.name} (prices on-demand)`);
             
             return priceMap;
             
         } catch (error) {
-            console.error('Failed to fetch auction items from Coflnet:', error);
-            this.auctionPrices = {};
-            return {};
+            console.error(`Failed to fetch auction items from ${this.auctionProvider.name}:`, error);
+            this.auctionPrices = this.auctionPrices || {};
+            return this.auctionPrices;
         }
     }
     
     /**
-     * Load all prices - always fetch fresh on page load
+     * Load all prices - serve cached prices right away when there are any and refresh them
+     * in the background, otherwise wait for a fresh fetch
      */
     async loadAllPrices() {
-        // Always fetch fresh data on initialization (no localStorage caching)
+        const hasCachedPrices = await this.loadFromCache();
+        
+        if (hasCachedPrices) {
+            console.log('⟳ Refreshing cached price data in the background...');
+            this.trackRefresh(this.refreshAllPrices());
+            return;
+        }
+        
         console.log('⟳ Fetching fresh price data on page load...');
+        await this.refreshAllPrices();
+    }
+    
+    async refreshAllPrices() {
         await this.fetchBazaarPrices();
         await this.fetchAuctionPrices();
     }
-
-    async loadItemsDatabase() {
-        if (this.itemsDatabaseLoaded) {
-            return;
+    
+    /**
+     * Fill the in-memory caches from the persistent cache
+     * @returns {Promise<boolean>} True if any cached prices were loaded
+     */
+    async loadFromCache() {
+        if (!this.cacheStore) {
+            return false;
         }
-
+        
         try {
-            const response = await fetch('../jsons/items.json');
-            if (!response.ok) {
-                throw new Error(`Failed to load items.json: ${response.status}`);
+            const { bazaar, auction } = await this.cacheStore.loadAll();
+            
+            if (bazaar.length === 0 && auction.length === 0) {
+                return false;
+            }
+            
+            this.bazaarQuotes = this.bazaarQuotes || {};
+            this.auctionPrices = this.auctionPrices || {};
+            
+            for (const record of bazaar) {
+                this.bazaarProducts[record.tag] = record.product;
+                this.bazaarQuotes[record.tag] = this.parseBazaarProduct(record.tag, record.product);
+                this.bazaarTimestamps[record.tag] = record.timestamp;
+            }
+            
+            for (const record of auction) {
+                // Records cached before recent sales were tracked don't have them
+                const sales = record.sales !== undefined ? record.sales : null;
+                const quote = this.buildAuctionQuote(record.tag, record.response, sales, record.timestamp);
+                this.auctionResponses[record.tag] = record.response;
+                this.auctionSales[record.tag] = sales;
+                this.auctionQuotes[record.tag] = quote;
+                this.auctionPrices[record.tag] = quote.lbin;
+                this.auctionTimestamps[record.tag] = record.timestamp;
             }
-            const data = await response.json();
-            this.itemsDatabase = data.items || data;
-            this.itemsDatabaseLoaded = true;
+            
+            console.log(`✓ Loaded ${bazaar.length} bazaar and ${auction.length} auction prices from cache`);
+            return true;
         } catch (error) {
-            throw error;
+            console.error('Failed to load cached prices:', error);
+            return false;
         }
     }
+    
+    /**
+     * Keep track of a background refresh so callers can wait for it with whenRefreshed()
+     */
+    trackRefresh(promise) {
+        this.pendingRefreshes.add(promise);
+        promise.finally(() => this.pendingRefreshes.delete(promise));
+        return promise;
+    }
+    
+    /**
+     * Resolves once every background refresh (including ones started meanwhile) has finished
+     */
+    async whenRefreshed() {
+        while (this.pendingRefreshes.size > 0) {
+            await Promise.allSettled([...this.pendingRefreshes]);
+        }
+    }
+    
+    /**
+     * Age of an item's price
+     * @param {string} itemTag - Item tag
+     * @param {string} source - 'bazaar' or 'auction'
+     * @returns {number|null} Age in ms, or null if the item has never been priced
+     */
+    getPriceAge(itemTag, source) {
+        const timestamps = source === 'bazaar' ? this.bazaarTimestamps : this.auctionTimestamps;
+        const timestamp = timestamps[itemTag];
+        return timestamp !== undefined ? Date.now() - timestamp : null;
+    }
+    
+    /**
+     * Whether an item's price is older than maxCacheAge
+     */
+    isPriceStale(itemTag, source) {
+        const age = this.getPriceAge(itemTag, source);
+        return age !== null && age > this.maxCacheAge;
+    }
 
-    findItemTag(itemName) {
-        const item = this.itemsDatabase.find(item => 
-            item.name && item.name.toLowerCase() === itemName.toLowerCase()
-        );
+    /**
+     * Warnings for bazaar items whose price is easy to manipulate or can't be trusted
+     * @param {string} itemTag - Bazaar product ID
+     * @returns {Promise<Object[]>} [{ type, message }] where type is 'wideSpread', 'lowVolume' or 'priceJump',
+     *                              empty for items that aren't on the bazaar
+     */
+    async getMarketFlags(itemTag) {
+        const quote = this.getQuote(itemTag);
+        if (!quote) {
+            return [];
+        }
+        
+        const limits = PriceAPI.MARKET_FLAG_LIMITS;
+        const flags = [];
+        
+        if (quote.spread !== null && quote.instantBuy > 0 && quote.spread / quote.instantBuy > limits.maxSpread) {
+            const percent = Math.round((quote.spread / quote.instantBuy) * 100);
+            flags.push({ type: 'wideSpread', message: `Spread is ${percent}% of the instant buy price` });
+        }
+        
+        const weeklyVolume = Math.min(quote.buyMovingWeek || 0, quote.sellMovingWeek || 0);
+        if (weeklyVolume < limits.minWeeklyVolume) {
+            flags.push({ type: 'lowVolume', message: `Only ${weeklyVolume.toLocaleString()} traded on the thinner side this week` });
+        }
+        
+        const now = Date.now();
+        const history = await this.getHistory(itemTag, { from: now - limits.jumpWindow, to: now, resolution: 'hour' });
+        for (const field of ['instantBuy', 'instantSell']) {
+            const values = history.map(point => point[field]).filter(value => value !== null && value !== undefined && value > 0);
+            if (values.length === 0 || !quote[field]) {
+                continue;
+            }
+            
+            const average = values.reduce((sum, value) => sum + value, 0) / values.length;
+            const jump = (quote[field] - average) / average;
+            if (Math.abs(jump) > limits.maxJump) {
+                const sign = jump > 0 ? '+' : '';
+                flags.push({ type: 'priceJump', message: `${field === 'instantBuy' ? 'Instant buy' : 'Instant sell'} price is ${sign}${Math.round(jump * 100)}% vs its 24h average` });
+                break;
+            }
+        }
+        
+        return flags;
+    }
 
-        if (item && item.id) {
-            return item.id;
+    /**
+     * Compute the real price of buying or selling a quantity on the bazaar.
+     * Instant buys walk the sell offers and instant sells walk the buy orders, level by level.
+     * Orders (buyOrder/sellOffer) sit on the book instead of consuming it, so they use the top-of-book price.
+     * Hypixel only sends the top 30 levels of each book, so `sufficient: false` means
+     * the order is deeper than what the API shows.
+     * @param {string} itemName - Item name or bazaar product ID
+     * @param {number} quantity - Units to buy or sell
+     * @param {string} side - One of PriceAPI.BAZAAR_SIDES
+     * @returns {Object|null} { side, quantity, filled, totalPrice, averagePrice, sufficient, levelsUsed },
+     *                        or null if the item isn't on the bazaar
+     */
+    getFillPrice(itemName, quantity, side) {
+        const itemTag = this.itemRegistry.getTag(itemName);
+        const quote = itemTag ? this.getQuote(itemTag) : null;
+        if (!quote) {
+            return null;
         }
         
-        return null;
+        if (side === 'buyOrder' || side === 'sellOffer') {
+            const price = this.getBazaarPrice(itemTag, side);
+            return {
+                side,
+                quantity,
+                filled: price > 0 ? quantity : 0,
+                totalPrice: price * quantity,
+                averagePrice: price,
+                sufficient: price > 0,
+                levelsUsed: price > 0 ? 1 : 0
+            };
+        }
+        
+        let levels;
+        switch (side) {
+            case 'instantBuy':
+                levels = quote.sellOfferLevels;
+                break;
+            case 'instantSell':
+                levels = quote.buyOrderLevels;
+                break;
+            default:
+                throw new Error(`Unknown bazaar side: ${side}`);
+        }
+        
+        let filled = 0;
+        let totalPrice = 0;
+        let levelsUsed = 0;
+        
+        for (const level of levels) {
+            if (filled >= quantity) {
+                break;
+            }
+            const take = Math.min(level.amount, quantity - filled);
+            filled += take;
+            totalPrice += take * level.pricePerUnit;
+            levelsUsed++;
+        }
+        
+        return {
+            side,
+            quantity,
+            filled,
+            totalPrice,
+            averagePrice: filled > 0 ? totalPrice / filled : 0,
+            sufficient: filled >= quantity,
+            levelsUsed
+        };
     }
 
     /**
      * Get price for an item (checks bazaar first, then auction)
      * @param {string} itemName - Item name or tag
      * @param {string} source - 'bazaar' or 'auction' (optional, will check both if not specified)
+     * @param {string} side - Bazaar side to value at (one of PriceAPI.BAZAAR_SIDES).
+     *                        Defaults to instantBuy, the top-of-book price this method always returned.
      * @returns {Promise<number>} Price in coins
      */
-    async getPrice(itemName, source = null) {
+    async getPrice(itemName, source = null, side = 'instantBuy') {
         try {
             // Ensure we have price data
-            if (!this.bazaarPrices) {
+            if (!this.bazaarQuotes) {
                 await this.loadAllPrices();
             }
             
-            const itemTag = itemName.includes('_') ? itemName : this.findItemTag(itemName);
+            const itemTag = this.itemRegistry.getTag(itemName);
             
             if (!itemTag) {
                 return 0;
@@ -206,7 +615,7 @@ class PriceAPI {
             
             // If source is specified, check only that source
             if (source === 'bazaar') {
-                return this.bazaarPrices[itemTag] || 0;
+                return this.getBazaarPrice(itemTag, side);
             }
             
             if (source === 'auction') {
@@ -214,8 +623,9 @@ class PriceAPI {
             }
             
             // Check bazaar first (faster, more reliable)
-            if (this.bazaarPrices[itemTag]) {
-                return this.bazaarPrices[itemTag];
+            const bazaarPrice = this.getBazaarPrice(itemTag, side);
+            if (bazaarPrice) {
+                return bazaarPrice;
             }
             
             // Fall back to auction price
@@ -227,53 +637,430 @@ class PriceAPI {
     }
     
     /**
-     * Get auction price for a specific item
+     * Lowest BIN for a specific item
      * @param {string} itemTag - Item tag
-     * @returns {Promise<number>} Price in coins
+     * @returns {Promise<number>} Price in coins, 0 if nothing is listed
      */
     async getAuctionPrice(itemTag) {
+        const quote = await this.getAuctionQuote(itemTag);
+        return quote && quote.lbin ? quote.lbin : 0;
+    }
+    
+    /**
+     * Value an auction item with a valuation strategy
+     * @param {string} itemTag - Item tag
+     * @param {string} strategy - One of PriceAPI.AUCTION_STRATEGIES
+     * @returns {Promise<number>} Price in coins, 0 if the quote doesn't have the statistic
+     */
+    async getAuctionValue(itemTag, strategy) {
+        if (!PriceAPI.AUCTION_STRATEGIES.includes(strategy)) {
+            throw new Error(`Unknown auction valuation strategy: ${strategy}`);
+        }
+        
+        const needsSales = PriceAPI.SALES_STRATEGIES.includes(strategy);
+        if (needsSales) {
+            this.salesTags.add(itemTag);
+        }
+        
+        let quote = await this.getAuctionQuote(itemTag);
+        if (quote && needsSales && quote.sales === null) {
+            quote = await this.loadAuctionSales(itemTag);
+        }
+        const value = quote ? this.valueAuction(quote, strategy) : null;
+        return value || 0;
+    }
+    
+    /**
+     * Add recent sales to an auction quote fetched without them, once the item is valued with one
+     * of SALES_STRATEGIES. Changed statistics are emitted as an 'update' like any other price change.
+     * @returns {Promise<Object|null>} AuctionQuote, as it was if the sales couldn't be fetched
+     */
+    async loadAuctionSales(itemTag) {
+        this.salesTags.add(itemTag);
+        const sales = await this.fetchAuctionSales(itemTag);
+        const data = this.auctionResponses[itemTag];
+        if (!sales || !data) {
+            return this.getCachedAuctionQuote(itemTag);
+        }
+        
+        const timestamp = this.auctionTimestamps[itemTag];
+        const quote = this.applyAuctionResponse(itemTag, data, sales, timestamp);
+        if (this.cacheStore) {
+            this.cacheStore.saveAuction(itemTag, data, sales, timestamp).catch(error => {
+                console.error(`Failed to persist auction price for ${itemTag}:`, error);
+            });
+        }
+        return quote;
+    }
+    
+    /**
+     * Get the AuctionQuote for an item, fetching it if it hasn't been priced yet
+     * @param {string} itemTag - Item tag
+     * @returns {Promise<Object|null>} AuctionQuote, or null if the provider has no data
+     */
+    async getAuctionQuote(itemTag) {
+        this.pricedTags.add(itemTag);
         try {
-            // Check if we need to refresh
-            const now = Date.now();
-            if (now - this.lastAuctionFetch > this.cacheExpiry) {
-                await this.fetchAuctionPrices();
+            const cachedQuote = this.auctionQuotes[itemTag];
+            
+            if (cachedQuote) {
+                // Serve the cached quote right away and refresh it in the background once it expires
+                if (this.getPriceAge(itemTag, 'auction') > this.cacheExpiry) {
+                    this.trackRefresh(this.fetchAuctionQuote(itemTag));
+                }
+                return cachedQuote;
             }
             
-            // Get price from cache if available
-            const cachedPrice = this.auctionPrices[itemTag];
+            return await this.fetchAuctionQuote(itemTag);
             
-            if (cachedPrice !== undefined && cachedPrice !== null && cachedPrice !== 0) {
-                return cachedPrice;
-            }
+        } catch (error) {
+            return null;
+        }
+    }
+    
+    /**
+     * AuctionQuote already in the cache, without fetching
+     * @returns {Object|null} AuctionQuote, or null if the item hasn't been priced
+     */
+    getCachedAuctionQuote(itemTag) {
+        return this.auctionQuotes[itemTag] || null;
+    }
+    
+    /**
+     * Fetch a single item's current auction price from the auction provider and cache it, with its
+     * recent sales when the item is in salesTags
+     * @param {string} itemTag - Item tag
+     * @returns {Promise<Object|null>} AuctionQuote, null if unavailable
+     */
+    async fetchAuctionQuote(itemTag) {
+        try {
+            const provider = this.auctionProvider;
+            const [data, sales] = await Promise.all([
+                this.scheduler.schedule(
+                    `${provider.name}:auction:${itemTag}`, provider.name, () => provider.fetchAuctionPrice(itemTag)
+                ),
+                this.salesTags.has(itemTag) ? this.fetchAuctionSales(itemTag) : null
+            ]);
             
-            // Fetch individual item price
-            try {
-                const url = `${this.baseURL}/item/price/${itemTag}/current`;
-                const response = await fetch(url);
+            if (data) {
+                const timestamp = this.getProviderTimestamp(provider, Date.now());
+                const quote = this.applyAuctionResponse(itemTag, data, sales, timestamp);
                 
-                if (response.ok) {
-                    const data = await response.json();
-                    // Coflnet returns buy/sell prices, use buy price (lowest BIN equivalent)
-                    const itemPrice = data.buy || data.sell || data.lbin || data.median || data.mean || 0;
-                    
-                    // Update cache with new price
-                    this.auctionPrices[itemTag] = itemPrice;
-                    
-                    return itemPrice;
-                } else {
-                    console.warn(`Failed to fetch auction price for ${itemTag}: HTTP ${response.status}`);
+                if (this.isLiveProvider(provider)) {
+                    this.shareLivePrices({ type: 'auction', tag: itemTag, response: data, sales, timestamp });
                 }
-            } catch (fetchError) {
-                console.error(`Error fetching auction price for ${itemTag}:`, fetchError);
+                
+                if (this.cacheStore) {
+                    this.cacheStore.saveAuction(itemTag, data, sales, timestamp).catch(error => {
+                        console.error(`Failed to persist auction price for ${itemTag}:`, error);
+                    });
+                }
+                
+                this.recordHistory([{ tag: itemTag, instantBuy: quote.lbin, instantSell: quote.median }], timestamp);
+                
+                return quote;
+            } else {
+                console.warn(`No auction price for ${itemTag} from ${this.auctionProvider.name}`);
             }
-            
-            return 0;
-            
+        } catch (fetchError) {
+            console.error(`Error fetching auction price for ${itemTag}:`, fetchError);
+        }
+        
+        return null;
+    }
+    
+    /**
+     * Recent sales are only needed for sale statistics, the lowest BIN is still usable without them
+     * @returns {Promise<Object[]|null>} [{ price, timestamp }], null if unavailable
+     */
+    async fetchAuctionSales(itemTag) {
+        const provider = this.auctionProvider;
+        
+        try {
+            return await this.scheduler.schedule(
+                `${provider.name}:auction-sales:${itemTag}`, provider.name, () => provider.fetchAuctionSales(itemTag)
+            );
         } catch (error) {
-            return 0;
+            console.error(`Error fetching recent sales for ${itemTag}:`, error);
+            return null;
+        }
+    }
+    
+    /**
+     * Update the cache with a single item's auction response and recent sales
+     * @returns {Object} AuctionQuote
+     */
+    applyAuctionResponse(itemTag, data, sales, timestamp) {
+        const quote = this.buildAuctionQuote(itemTag, data, sales, timestamp);
+        
+        const previousQuote = this.auctionQuotes[itemTag];
+        if (previousQuote) {
+            this.queueChange(
+                itemTag, 'auction',
+                { instantBuy: previousQuote.lbin, instantSell: previousQuote.median },
+                { instantBuy: quote.lbin, instantSell: quote.median }
+            );
+        }
+        
+        this.auctionPrices = this.auctionPrices || {};
+        this.auctionResponses[itemTag] = data;
+        this.auctionSales[itemTag] = sales;
+        this.auctionQuotes[itemTag] = quote;
+        this.auctionPrices[itemTag] = quote.lbin;
+        this.auctionTimestamps[itemTag] = timestamp;
+        
+        return quote;
+    }
+    
+    /**
+     * Build an AuctionQuote from the provider's current price response and recent sales.
+     * Coflnet's `buy` is what the cheapest BIN costs right now.
+     * @param {Object} data - Coflnet-shaped current price response
+     * @param {Object[]|null} sales - [{ price, timestamp }], null if unknown
+     * @returns {Object} {
+     *   tag,
+     *   lbin,        cheapest BIN listed (null if nothing is listed)
+     *   median,      median recent sale (null without sales)
+     *   mean,        mean recent sale (null without sales)
+     *   sales,       number of recent sales (null if unknown)
+     *   window,      { from, to } time span the sales cover (null without sales)
+     *   salePrices,  recent sale prices, lowest first
+     *   timestamp    when the data was fetched
+     * }
+     */
+    buildAuctionQuote(itemTag, data, sales, timestamp) {
+        const validSales = sales ? sales.filter(sale => sale.price > 0) : [];
+        const salePrices = validSales.map(sale => sale.price).sort((a, b) => a - b);
+        const saleTimes = validSales.map(sale => sale.timestamp);
+        
+        return {
+            tag: itemTag,
+            lbin: data.buy > 0 ? data.buy : null,
+            median: PriceAPI.percentile(salePrices, 50),
+            mean: salePrices.length > 0 ? salePrices.reduce((sum, price) => sum + price, 0) / salePrices.length : null,
+            sales: sales ? salePrices.length : null,
+            window: saleTimes.length > 0 ? { from: Math.min(...saleTimes), to: Math.max(...saleTimes) } : null,
+            salePrices,
+            timestamp
+        };
+    }
+    
+    /**
+     * Value an AuctionQuote with a valuation strategy:
+     * - lbin:        cheapest BIN listed right now
+     * - median:      median recent sale
+     * - percentile:  AUCTION_PERCENTILE-th percentile of recent sales
+     * - volumeAware: the median once the item sold at least AUCTION_MIN_SALES times; on a thinner
+     *                market the lower of the lowest BIN and the percentile, so a single outlier
+     *                listing or sale doesn't set the value
+     * @param {Object} quote - AuctionQuote
+     * @param {string} strategy - One of PriceAPI.AUCTION_STRATEGIES
+     * @returns {number|null} Price in coins, null if the quote doesn't have the statistic
+     */
+    valueAuction(quote, strategy) {
+        switch (strategy) {
+            case 'lbin':
+                return quote.lbin;
+            case 'median':
+                return quote.median;
+            case 'percentile':
+                return PriceAPI.percentile(quote.salePrices, PriceAPI.AUCTION_PERCENTILE);
+            case 'volumeAware': {
+                if (quote.sales !== null && quote.sales >= PriceAPI.AUCTION_MIN_SALES) {
+                    return quote.median;
+                }
+                const candidates = [quote.lbin, PriceAPI.percentile(quote.salePrices, PriceAPI.AUCTION_PERCENTILE)]
+                    .filter(value => value !== null);
+                return candidates.length > 0 ? Math.min(...candidates) : null;
+            }
+            default:
+                throw new Error(`Unknown auction valuation strategy: ${strategy}`);
         }
     }
     
+    /**
+     * Percentile of sorted values, interpolating between the closest two
+     * @param {number[]} sortedValues - Lowest first
+     * @param {number} percent - 0 to 100
+     * @returns {number|null} null for no values
+     */
+    static percentile(sortedValues, percent) {
+        if (sortedValues.length === 0) {
+            return null;
+        }
+        
+        const position = (percent / 100) * (sortedValues.length - 1);
+        const lower = Math.floor(position);
+        const upper = Math.ceil(position);
+        return sortedValues[lower] + (sortedValues[upper] - sortedValues[lower]) * (position - lower);
+    }
+    
+    /**
+     * Subscribe to an event
+     * @param {string} event - 'update'
+     * @param {Function} callback - Called with the event payload
+     * @returns {Function} Unsubscribes the callback
+     */
+    on(event, callback) {
+        if (!this.listeners[event]) {
+            this.listeners[event] = new Set();
+        }
+        this.listeners[event].add(callback);
+        return () => this.off(event, callback);
+    }
+    
+    off(event, callback) {
+        if (this.listeners[event]) {
+            this.listeners[event].delete(callback);
+        }
+    }
+    
+    emit(event, payload) {
+        if (!this.listeners[event]) {
+            return;
+        }
+        
+        this.listeners[event].forEach(callback => {
+            try {
+                callback(payload);
+            } catch (error) {
+                console.error(`Error in ${event} listener:`, error);
+            }
+        });
+    }
+    
+    /**
+     * Record a price change if the price moved, and emit all queued changes together
+     * once no new change has come in for UPDATE_BATCH_DELAY ms
+     * @param {Object} previous - { instantBuy, instantSell } before the fetch
+     * @param {Object} current - { instantBuy, instantSell } after the fetch
+     */
+    queueChange(itemTag, source, previous, current) {
+        if (previous.instantBuy === current.instantBuy && previous.instantSell === current.instantSell) {
+            return;
+        }
+        
+        const key = `${source}:${itemTag}`;
+        // Keep the oldest previous price when a tag changes twice within one batch
+        const earliest = this.pendingChanges.has(key) ? this.pendingChanges.get(key).previous : previous;
+        if (earliest.instantBuy === current.instantBuy && earliest.instantSell === current.instantSell) {
+            // Moved back to where it started
+            this.pendingChanges.delete(key);
+            return;
+        }
+        
+        const difference = (field) => (current[field] !== null && earliest[field] !== null) ? current[field] - earliest[field] : null;
+        
+        this.pendingChanges.set(key, {
+            tag: itemTag,
+            source,
+            previous: { instantBuy: earliest.instantBuy, instantSell: earliest.instantSell },
+            current: { instantBuy: current.instantBuy, instantSell: current.instantSell },
+            delta: { instantBuy: difference('instantBuy'), instantSell: difference('instantSell') }
+        });
+        
+        clearTimeout(this.updateTimer);
+        this.updateTimer = setTimeout(() => this.flushChanges(), PriceAPI.UPDATE_BATCH_DELAY);
+    }
+    
+    flushChanges() {
+        const changes = Array.from(this.pendingChanges.values());
+        this.pendingChanges.clear();
+        this.updateTimer = null;
+        
+        if (changes.length > 0) {
+            this.emit('update', { changes, timestamp: Date.now() });
+        }
+    }
+    
+    /**
+     * Snapshot providers replay old data, only live data is shared with other tabs
+     */
+    isLiveProvider(provider) {
+        return provider.createdAt === undefined;
+    }
+    
+    shareLivePrices(message) {
+        if (this.channel) {
+            this.channel.postMessage(message);
+        }
+    }
+    
+    /**
+     * Take in prices another tab just fetched. The sending tab already persisted and recorded them.
+     * Ignored while this page prices from a snapshot, or when the data isn't newer than ours.
+     */
+    receiveSharedPrices(message) {
+        if (message.type === 'bazaar') {
+            if (!this.isLiveProvider(this.bazaarProvider) || message.timestamp <= this.lastBazaarFetch) {
+                return;
+            }
+            this.applyBazaarProducts(message.products, message.timestamp);
+            this.lastBazaarFetch = message.timestamp;
+        } else if (message.type === 'auction') {
+            const ownTimestamp = this.auctionTimestamps[message.tag];
+            if (!this.isLiveProvider(this.auctionProvider) || (ownTimestamp !== undefined && message.timestamp <= ownTimestamp)) {
+                return;
+            }
+            // A tab that doesn't value the item from its sales doesn't fetch them, keep the ones we have
+            const sales = message.sales === null && this.salesTags.has(message.tag) ? this.auctionSales[message.tag] : message.sales;
+            this.applyAuctionResponse(message.tag, message.response, sales, message.timestamp);
+        }
+    }
+    
+    /**
+     * Append prices to the local history
+     * @param {Object[]} prices - [{ tag, instantBuy, instantSell }], bazaar quotes have this shape
+     */
+    recordHistory(prices, timestamp) {
+        if (!this.historyStore || prices.length === 0) {
+            return;
+        }
+        
+        const points = prices.map(price => ({ tag: price.tag, instantBuy: price.instantBuy, instantSell: price.instantSell }));
+        this.historyStore.record(points, timestamp).catch(error => {
+            console.error('Failed to record price history:', error);
+        });
+    }
+    
+    /**
+     * Recorded price history for an item
+     * @param {string} itemTag - Item tag
+     * @param {Object} options
+     * @param {number} options.from - Start time in ms (defaults to 24 hours before `to`)
+     * @param {number} options.to - End time in ms (defaults to now)
+     * @param {string} options.resolution - 'minute' or 'hour' (defaults to minute for ranges up to a day, hour beyond)
+     * @returns {Promise<Object[]>} [{ time, instantBuy, instantSell }] oldest first, empty without a history store
+     */
+    async getHistory(itemTag, { from, to, resolution } = {}) {
+        if (!this.historyStore) {
+            return [];
+        }
+        
+        const end = to !== undefined ? to : Date.now();
+        const start = from !== undefined ? from : end - 24 * 60 * 60 * 1000;
+        // Minute data is only kept for a day, longer ranges need hourly points
+        const interval = resolution !== undefined
+            ? resolution
+            : (end - start <= 24 * 60 * 60 * 1000 ? 'minute' : 'hour');
+        
+        if (interval !== 'minute' && interval !== 'hour') {
+            throw new Error(`Unknown history resolution: ${interval}`);
+        }
+        
+        return this.historyStore.query(itemTag, start, end, interval);
+    }
+    
+    /**
+     * Bazaar price by item name or product ID
+     * @param {string} itemName - Item name or bazaar product ID
+     * @param {string} side - One of PriceAPI.BAZAAR_SIDES
+     * @returns {Promise<number>} Price in coins, 0 if the item isn't on the bazaar
+     */
+    async getItemPriceByName(itemName, side) {
+        return await this.getPrice(itemName, 'bazaar', side);
+    }
+    
     /**
      * Alias for getPrice (for backwards compatibility)
      */
@@ -284,16 +1071,17 @@ class PriceAPI {
     /**
      * Get item price from bazaar (for backwards compatibility)
      */
-    async getItemPrice(itemId) {
-        return await this.getPrice(itemId, 'bazaar');
+    async getItemPrice(itemId, side = 'instantBuy') {
+        return await this.getPrice(itemId, 'bazaar', side);
     }
 
     /**
      * Get all prices (combined bazaar and auction)
+     * @param {string} side - Bazaar side to value bazaar items at
      * @returns {Promise<Object>} Object with item tags as keys and prices as values
      */
-    async getAllPrices() {
-        if (!this.bazaarPrices || !this.auctionPrices) {
+    async getAllPrices(side = 'instantBuy') {
+        if (!this.bazaarQuotes || !this.auctionPrices) {
             await this.loadAllPrices();
         }
         
@@ -306,10 +1094,15 @@ class PriceAPI {
             await this.fetchAuctionPrices();
         }
         
+        const bazaarPrices = {};
+        for (const itemTag of Object.keys(this.bazaarQuotes)) {
+            bazaarPrices[itemTag] = this.getBazaarPrice(itemTag, side);
+        }
+        
         // Combine both (bazaar takes priority)
         return {
             ...this.auctionPrices,
-            ...this.bazaarPrices
+            ...bazaarPrices
         };
     }
     
@@ -324,8 +1117,12 @@ class PriceAPI {
         
         this.autoRefreshInterval = setInterval(async () => {
             try {
-                await this.fetchBazaarPrices();
+                // Another tab fetched recently and shared its data, this cycle isn't needed
+                if (Date.now() - this.lastBazaarFetch >= intervalMs / 2) {
+                    await this.fetchBazaarPrices();
+                }
                 await this.fetchAuctionPrices();
+                await this.refreshExpiredAuctionPrices(intervalMs);
                 console.log('✓ Auto-refreshed bazaar (Hypixel) and auction (Coflnet) data');
             } catch (error) {
                 console.error('Failed to auto-refresh data:', error);
@@ -335,6 +1132,26 @@ class PriceAPI {
         console.log(`✓ Coflnet auto-refresh enabled (every ${intervalMs / 1000}s)`);
     }
     
+    /**
+     * Re-fetch the auction prices this page has asked for once they're older than cacheExpiry.
+     * Each quote takes two requests, so one cycle only re-fetches as many as fit in half the
+     * provider's rate budget over the interval, oldest first; the rest wait for the next cycle
+     * and the other half of the budget is left for prices the page asks for.
+     * @param {number} intervalMs - Time until the next cycle
+     */
+    async refreshExpiredAuctionPrices(intervalMs) {
+        const limit = this.scheduler.rateLimits[this.auctionProvider.name];
+        // Providers without a rate budget (e.g. snapshots) can re-fetch everything
+        const maxTags = limit ? Math.floor(limit.requests * (intervalMs / limit.perMs) / 4) : Infinity;
+        
+        const expiredTags = Array.from(this.pricedTags)
+            .filter(itemTag => this.getPriceAge(itemTag, 'auction') > this.cacheExpiry)
+            .sort((a, b) => this.getPriceAge(b, 'auction') - this.getPriceAge(a, 'auction'))
+            .slice(0, maxTags);
+        
+        await Promise.allSettled(expiredTags.map(itemTag => this.fetchAuctionQuote(itemTag)));
+    }
+    
     /**
      * Stop auto-refresh
      */
@@ -349,24 +1166,43 @@ class PriceAPI {
 
 
     clearCache() {
-        this.bazaarPrices = null;
+        this.bazaarQuotes = null;
         this.auctionPrices = null;
+        this.bazaarProducts = {};
+        this.auctionResponses = {};
+        this.auctionSales = {};
+        this.auctionQuotes = {};
+        this.bazaarTimestamps = {};
+        this.auctionTimestamps = {};
         this.lastBazaarFetch = 0;
         this.lastAuctionFetch = 0;
     }
     
     /**
-     * Force refresh - bypasses cache
+     * Force refresh - bypasses cache. The current prices stay until the new ones are in,
+     * so the changes are emitted as 'update' like an auto-refresh.
      */
     async forceRefresh() {
-        this.bazaarPrices = null;
-        this.auctionPrices = null;
         this.lastBazaarFetch = 0;
         this.lastAuctionFetch = 0;
         await this.fetchBazaarPrices();
         await this.fetchAuctionPrices();
     }
 
+    /**
+     * Export the data currently loaded from the providers in the SnapshotPriceProvider format.
+     * Only auction items that have been priced so far are included.
+     * @returns {Object} Snapshot
+     */
+    exportSnapshot() {
+        return {
+            createdAt: Date.now(),
+            bazaar: { products: this.bazaarProducts },
+            auction: { ...this.auctionResponses },
+            auctionSales: { ...this.auctionSales }
+        };
+    }
+
     /**
      * Get API status information
      * @returns {Object} Status information
@@ -374,15 +1210,59 @@ class PriceAPI {
     getStatus() {
         return {
             initialized: this.isInitialized,
-            bazaarItems: this.bazaarPrices ? Object.keys(this.bazaarPrices).length : 0,
+            bazaarProvider: this.bazaarProvider.name,
+            auctionProvider: this.auctionProvider.name,
+            bazaarItems: this.bazaarQuotes ? Object.keys(this.bazaarQuotes).length : 0,
             auctionItems: this.auctionPrices ? Object.keys(this.auctionPrices).length : 0,
             lastBazaarFetch: new Date(this.lastBazaarFetch).toLocaleTimeString(),
             lastAuctionFetch: new Date(this.lastAuctionFetch).toLocaleTimeString(),
+            requests: this.scheduler.getStatus(),
             lastError: this.lastError
         };
     }
 }
 
+// Sides of the bazaar book a price can be taken from
+PriceAPI.BAZAAR_SIDES = ['instantBuy', 'instantSell', 'buyOrder', 'sellOffer'];
+
+// Changes arriving within this many ms of each other are emitted as one 'update' event
+PriceAPI.UPDATE_BATCH_DELAY = 250;
+
+// BroadcastChannel the calculator pages share live prices on
+PriceAPI.CHANNEL_NAME = 'hypixel-prices';
+
+// History field that tracks each side: orders sit at the top of the opposite side of the book
+PriceAPI.HISTORY_FIELDS = {
+    instantBuy: 'instantBuy',
+    sellOffer: 'instantBuy',
+    instantSell: 'instantSell',
+    buyOrder: 'instantSell'
+};
+
+// Auction valuation strategies, see valueAuction()
+PriceAPI.AUCTION_STRATEGIES = ['lbin', 'median', 'percentile', 'volumeAware'];
+
+// Strategies that value an item from its recent sales, only items valued with these fetch them
+PriceAPI.SALES_STRATEGIES = ['median', 'percentile', 'volumeAware'];
+
+// Percentile of recent sales the 'percentile' strategy values at. The 25th sits below most
+// sales, so a few overpriced sales don't inflate the value.
+PriceAPI.AUCTION_PERCENTILE = 25;
+
+// Recent sales 'volumeAware' needs before it trusts the median
+PriceAPI.AUCTION_MIN_SALES = 10;
+
+// Thresholds for getMarketFlags()
+PriceAPI.MARKET_FLAG_LIMITS = {
+    // Spread wider than this share of the instant buy price
+    maxSpread: 0.3,
+    // Fewer units than this moved in the last week on the thinner side of the book
+    minWeeklyVolume: 1000,
+    // Current price further than this share away from its average over jumpWindow
+    maxJump: 0.5,
+    jumpWindow: 24 * 60 * 60 * 1000
+};
+
 // Make it globally available
 if (typeof window !== 'undefined') {
     window.PriceAPI = PriceAPI;
@@ -391,4 +1271,8 @@ if (typeof window !== 'undefined') {
     if (!window.globalPriceAPI) {
         window.globalPriceAPI = new PriceAPI();
     }
-}
\ No newline at end of file
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PriceAPI;
+}
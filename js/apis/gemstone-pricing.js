@@ -5,8 +5,8 @@
  */
 class GemstonePricing {
     constructor() {
-        this.bazaarAPI = null;
-        this.coflnetAPI = null;
+        this.priceAPI = null;
+        this.itemRegistry = window.globalItemRegistry || new ItemRegistry();
         this.initialized = false;
         
         // Define all 12 gemstone types for Hypixel Skyblock
@@ -25,19 +25,30 @@ class GemstonePricing {
         this.cacheTimestamp = 0;
         this.cacheValidDuration = 5 * 60 * 1000; // 5 minutes
         
+        // Bazaar sides: flawed/fine gemstones are bought, perfect gemstones are sold
+        this.priceSides = { buy: null, sell: null };
+        
         console.log('GemstonePricing utility initialized');
     }
     
     /**
-     * Initialize with API instances
+     * Initialize with the shared PriceAPI instance
      */
-    initialize(bazaarAPI, coflnetAPI) {
-        this.bazaarAPI = bazaarAPI;
-        this.coflnetAPI = coflnetAPI;
+    initialize(priceAPI) {
+        this.priceAPI = priceAPI;
         this.initialized = true;
         console.log('GemstonePricing APIs set');
     }
     
+    /**
+     * Set which bazaar sides gemstones are bought and sold at
+     * @param {Object} sides - { buy, sell } values from PriceAPI.BAZAAR_SIDES
+     */
+    setPriceSides(sides) {
+        this.priceSides = { buy: sides.buy, sell: sides.sell };
+        this.clearCache();
+    }
+    
     /**
      * Check if cache is still valid
      */
@@ -82,18 +93,17 @@ class GemstonePricing {
         try {
             // Get flawed gemstone price (bazaar)
             const flawedItem = `FLAWED_${gemstone.toUpperCase()}_GEM`;
-            prices.flawed = await this.bazaarAPI.getItemPriceByName(flawedItem);
+            prices.flawed = await this.priceAPI.getItemPriceByName(flawedItem, this.priceSides.buy);
             
             // Get fine gemstone price (bazaar)
             const fineItem = `FINE_${gemstone.toUpperCase()}_GEM`;
-            prices.fine = await this.bazaarAPI.getItemPriceByName(fineItem);
+            prices.fine = await this.priceAPI.getItemPriceByName(fineItem, this.priceSides.buy);
             
             // Get perfect gemstone price (auction)
             const perfectItem = `PERFECT_${gemstone.toUpperCase()}_GEM`;
-            prices.perfect = await this.coflnetAPI.getLowestBIN(perfectItem);
+            prices.perfect = await this.priceAPI.getLowestBIN(perfectItem);
             
-            // Try multiple crystal naming conventions
-            prices.crystal = await this.getCrystalPriceWithFallbacks(gemstone);
+            prices.crystal = await this.getCrystalAuctionPrice(gemstone);
             
             console.log(`Prices for ${gemstone}:`, prices);
             
@@ -109,34 +119,21 @@ class GemstonePricing {
     }
     
     /**
-     * Try multiple naming conventions for crystal items
+     * Crystal price from the auction house, looked up by its name in items.json (e.g. "Ruby Crystal")
      */
-    async getCrystalPriceWithFallbacks(gemstone) {
-        const possibleNames = [
-            `${gemstone.toUpperCase()}_CRYSTAL`,
-            `${gemstone.toUpperCase()}_CRYSTAL_FRAGMENT`,
-            `SKYBLOCK_ITEMS_${gemstone.toUpperCase()}_CRYSTAL`,
-            `${gemstone.charAt(0).toUpperCase() + gemstone.slice(1)} Crystal`,
-            `${gemstone.toUpperCase()}_SHARD`
-        ];
+    async getCrystalAuctionPrice(gemstone) {
+        const crystalName = `${gemstone.charAt(0).toUpperCase() + gemstone.slice(1)} Crystal`;
         
-        for (const name of possibleNames) {
-            try {
-                console.log(`Trying crystal name: ${name}`);
-                const price = await this.coflnetAPI.getLowestBIN(name);
-                if (price > 0) {
-                    console.log(`Found crystal price for ${name}: ${price}`);
-                    return price;
-                }
-            } catch (error) {
-                console.log(`Failed to get price for ${name}:`, error.message);
-            }
+        await this.itemRegistry.load();
+        const crystalTag = this.itemRegistry.getTag(crystalName);
+        
+        if (!crystalTag) {
+            // Crystals might not be tradeable
+            console.log(`${crystalName} isn't in items.json, crystals may not be tradeable`);
+            return 0;
         }
         
-        // If no crystal price found, crystals might not be tradeable
-        // Return 0 or calculate based on perfect gem value
-        console.log(`No crystal price found for ${gemstone}, crystals may not be tradeable`);
-        return 0;
+        return await this.priceAPI.getLowestBIN(crystalTag);
     }
     
     /**
@@ -155,22 +152,19 @@ class GemstonePricing {
         // Fetch specific price
         try {
             let itemName;
-            let api;
             
             switch (type) {
                 case 'flawed':
                     itemName = `FLAWED_${gemstone.toUpperCase()}_GEM`;
-                    api = this.bazaarAPI;
-                    return await api.getItemPriceByName(itemName);
+                    return await this.priceAPI.getItemPriceByName(itemName, this.priceSides.buy);
                     
                 case 'fine':
                     itemName = `FINE_${gemstone.toUpperCase()}_GEM`;
-                    api = this.bazaarAPI;
-                    return await api.getItemPriceByName(itemName);
+                    return await this.priceAPI.getItemPriceByName(itemName, this.priceSides.buy);
                     
                 case 'perfect':
                     itemName = `PERFECT_${gemstone.toUpperCase()}_GEM`;
-                    return await this.bazaarAPI.getItemPriceByName(itemName);
+                    return await this.priceAPI.getItemPriceByName(itemName, this.priceSides.sell);
 
                 case 'crystal':
                     // Crystals don't exist as tradeable items - calculate value as profit from crystal usage
@@ -180,9 +174,9 @@ class GemstonePricing {
                         console.log(`Calculating crystal value for ${gemstone}...`);
                         
                         // Get prices for all gemstone types needed for calculation - ALL from bazaar
-                        const flawedPrice = await this.bazaarAPI.getItemPriceByName(`FLAWED_${gemstoneUpper}_GEM`);
-                        const finePrice = await this.bazaarAPI.getItemPriceByName(`FINE_${gemstoneUpper}_GEM`);
-                        const perfectPrice = await this.bazaarAPI.getItemPriceByName(`PERFECT_${gemstoneUpper}_GEM`);
+                        const flawedPrice = await this.priceAPI.getItemPriceByName(`FLAWED_${gemstoneUpper}_GEM`, this.priceSides.buy);
+                        const finePrice = await this.priceAPI.getItemPriceByName(`FINE_${gemstoneUpper}_GEM`, this.priceSides.buy);
+                        const perfectPrice = await this.priceAPI.getItemPriceByName(`PERFECT_${gemstoneUpper}_GEM`, this.priceSides.sell);
                         
                         console.log(`${gemstone} prices: flawed=${flawedPrice}, fine=${finePrice}, perfect=${perfectPrice}`);
                         
@@ -0,0 +1,323 @@
+/**
+ * Item Registry
+ *
+ * Single place where item names are turned into item tags.
+ * - Canonical tags and display names come from jsons/items.json
+ * - jsons/item-aliases.json maps names the data files use that differ from items.json
+ *   (e.g. "Shattered Locket" -> SHATTERED_PENDANT)
+ * - Names that still don't match are fuzzy matched against items.json (case, punctuation
+ *   and small typos), so every lookup reports how it was resolved
+ *
+ * Names are never converted to tags by pattern, items.json is the source of truth.
+ *
+ * Validation report (Node): node js/apis/item-registry.js
+ * Lists every name in forge-recipes.json and corpse-loot-tables.json that doesn't resolve.
+ * items.json isn't committed, see the README for how to get it.
+ * js/validate-data.js runs the same name checks along with the structure of both files.
+ */
+class ItemRegistry {
+    constructor() {
+        this.byTag = new Map(); // tag -> display name
+        this.byName = new Map(); // lowercase display name -> tag
+        this.byNormalizedName = new Map(); // normalized display name -> tag
+        this.aliases = new Map(); // lowercase alias -> tag
+        this.resolved = new Map(); // lookup cache
+        this.loadPromise = null;
+    }
+
+    /**
+     * Load items.json and the alias table, only fetched once
+     * @param {string} basePath - Path to the jsons folder, relative to the page
+     */
+    load(basePath = '../jsons') {
+        if (!this.loadPromise) {
+            this.loadPromise = Promise.all([
+                ItemRegistry.fetchJSON(`${basePath}/items.json`),
+                ItemRegistry.fetchJSON(`${basePath}/item-aliases.json`)
+            ]).then(([itemsData, aliasData]) => {
+                this.addData(itemsData, aliasData);
+            });
+
+            // Allow a retry after a failed load
+            this.loadPromise.catch(() => {
+                this.loadPromise = null;
+            });
+        }
+
+        return this.loadPromise;
+    }
+
+    static async fetchJSON(url) {
+        const response = await fetch(url);
+
+        if (!response.ok) {
+            throw new Error(`Failed to load ${url}: HTTP ${response.status}`);
+        }
+
+        return await response.json();
+    }
+
+    /**
+     * Build a registry from files on disk (Node only)
+     */
+    static fromPaths(itemsPath, aliasesPath) {
+        const fs = require('fs');
+        const registry = new ItemRegistry();
+        registry.addData(
+            JSON.parse(fs.readFileSync(itemsPath, 'utf8')),
+            JSON.parse(fs.readFileSync(aliasesPath, 'utf8'))
+        );
+        return registry;
+    }
+
+    /**
+     * @param {Object} itemsData - items.json contents: { items: [{ name, id }] }
+     * @param {Object} aliasData - item-aliases.json contents: { aliases: { name: tag } }
+     */
+    addData(itemsData, aliasData) {
+        const items = itemsData.items || itemsData;
+        items.forEach(item => {
+            if (item.name && item.id) {
+                this.addItem(item.id, item.name);
+            }
+        });
+
+        Object.entries(aliasData.aliases).forEach(([alias, tag]) => {
+            this.addAlias(alias, tag);
+        });
+    }
+
+    addItem(tag, name) {
+        this.byTag.set(tag, name);
+        this.byName.set(name.toLowerCase(), tag);
+        this.byNormalizedName.set(ItemRegistry.normalize(name), tag);
+        this.resolved.clear();
+    }
+
+    addAlias(alias, tag) {
+        this.aliases.set(alias.toLowerCase(), tag);
+        this.resolved.clear();
+    }
+
+    /**
+     * Lowercase, no apostrophes, every other non-alphanumeric run becomes one space
+     * ("Divan's Powder Coating" -> "divans powder coating")
+     */
+    static normalize(name) {
+        return name.toLowerCase()
+            .replace(/['’]/g, '')
+            .replace(/[^a-z0-9]+/g, ' ')
+            .trim();
+    }
+
+    /**
+     * Resolve an item name or tag
+     * @param {string} nameOrTag - Display name, alias or item tag
+     * @returns {Object|null} { tag, name, match } where match is 'tag', 'exact', 'alias' or 'fuzzy',
+     *                        or null if nothing matches
+     */
+    resolve(nameOrTag) {
+        if (this.resolved.has(nameOrTag)) {
+            return this.resolved.get(nameOrTag);
+        }
+
+        const result = this.lookup(nameOrTag);
+        this.resolved.set(nameOrTag, result);
+        return result;
+    }
+
+    lookup(nameOrTag) {
+        if (this.byTag.has(nameOrTag)) {
+            return { tag: nameOrTag, name: this.byTag.get(nameOrTag), match: 'tag' };
+        }
+
+        // Code passes bazaar product IDs (e.g. FLAWED_RUBY_GEM) as-is
+        if (ItemRegistry.TAG_PATTERN.test(nameOrTag)) {
+            return { tag: nameOrTag, name: nameOrTag, match: 'tag' };
+        }
+
+        const lowerName = nameOrTag.toLowerCase();
+        if (this.byName.has(lowerName)) {
+            const tag = this.byName.get(lowerName);
+            return { tag, name: this.byTag.get(tag), match: 'exact' };
+        }
+
+        if (this.aliases.has(lowerName)) {
+            const tag = this.aliases.get(lowerName);
+            return { tag, name: this.byTag.get(tag) || nameOrTag, match: 'alias' };
+        }
+
+        const tag = this.fuzzyMatch(ItemRegistry.normalize(nameOrTag));
+        if (tag) {
+            return { tag, name: this.byTag.get(tag), match: 'fuzzy' };
+        }
+
+        return null;
+    }
+
+    /**
+     * Closest display name by edit distance, allowing roughly one typo per 8 characters.
+     * Ties are ambiguous and don't match.
+     */
+    fuzzyMatch(normalizedName) {
+        if (this.byNormalizedName.has(normalizedName)) {
+            return this.byNormalizedName.get(normalizedName);
+        }
+
+        const maxDistance = Math.max(1, Math.floor(normalizedName.length / 8));
+        let bestTag = null;
+        let bestDistance = Infinity;
+        let ambiguous = false;
+
+        for (const [candidate, tag] of this.byNormalizedName) {
+            if (Math.abs(candidate.length - normalizedName.length) > maxDistance) {
+                continue;
+            }
+
+            const distance = ItemRegistry.editDistance(normalizedName, candidate);
+            if (distance < bestDistance) {
+                bestDistance = distance;
+                bestTag = tag;
+                ambiguous = false;
+            } else if (distance === bestDistance) {
+                ambiguous = true;
+            }
+        }
+
+        return bestDistance <= maxDistance && !ambiguous ? bestTag : null;
+    }
+
+    static editDistance(a, b) {
+        let previous = Array.from({ length: b.length + 1 }, (_, index) => index);
+
+        for (let i = 1; i <= a.length; i++) {
+            const current = [i];
+            for (let j = 1; j <= b.length; j++) {
+                const substitution = previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1);
+                current.push(Math.min(previous[j] + 1, current[j - 1] + 1, substitution));
+            }
+            previous = current;
+        }
+
+        return previous[b.length];
+    }
+
+    /**
+     * @returns {string|null} Item tag, or null if the name doesn't resolve
+     */
+    getTag(nameOrTag) {
+        const result = this.resolve(nameOrTag);
+        return result ? result.tag : null;
+    }
+
+    /**
+     * @returns {string|null} Display name from items.json, or null for unknown tags
+     */
+    getDisplayName(tag) {
+        return this.byTag.get(tag) || null;
+    }
+
+    /**
+     * Check every item name used by the data files
+     * @param {Object} forgeRecipes - forge-recipes.json contents
+     * @param {Object} corpseLootTables - corpse-loot-tables.json contents
+     * @returns {Object} { unresolved, fuzzy, brokenAliases } - entries carry the file and JSON path of the name
+     */
+    buildReport(forgeRecipes, corpseLootTables) {
+        const names = [];
+
+        forgeRecipes.recipes.forEach((recipe, recipeIndex) => {
+            names.push({ file: 'forge-recipes.json', path: `recipes[${recipeIndex}].name`, name: recipe.name });
+            recipe.inputs.forEach((input, inputIndex) => {
+                // Coin costs aren't items
+                if (input.source !== 'coins') {
+                    names.push({ file: 'forge-recipes.json', path: `recipes[${recipeIndex}].inputs[${inputIndex}].name`, name: input.name });
+                }
+            });
+        });
+
+        Object.entries(corpseLootTables.corpseDropTables).forEach(([corpse, drops]) => {
+            drops.forEach((drop, dropIndex) => {
+                names.push({ file: 'corpse-loot-tables.json', path: `corpseDropTables.${corpse}[${dropIndex}].name`, name: drop.name });
+            });
+        });
+
+        Object.entries(corpseLootTables.keyNames).forEach(([corpse, keyName]) => {
+            // The lapis corpse doesn't need a key
+            if (keyName !== 'Free') {
+                names.push({ file: 'corpse-loot-tables.json', path: `keyNames.${corpse}`, name: keyName });
+            }
+        });
+
+        const report = { checked: names.length, unresolved: [], fuzzy: [], brokenAliases: [] };
+
+        names.forEach(entry => {
+            const result = this.resolve(entry.name);
+            if (!result) {
+                report.unresolved.push(entry);
+            } else if (result.match === 'fuzzy') {
+                report.fuzzy.push({ ...entry, tag: result.tag, matchedName: result.name });
+            }
+        });
+
+        this.aliases.forEach((tag, alias) => {
+            if (!this.byTag.has(tag)) {
+                report.brokenAliases.push({ alias, tag });
+            }
+        });
+
+        return report;
+    }
+
+    static formatReport(report) {
+        const lines = [`Checked ${report.checked} item names`];
+
+        lines.push(`\nUnresolved (${report.unresolved.length}):`);
+        report.unresolved.forEach(entry => lines.push(`  ${entry.file} ${entry.path}: "${entry.name}"`));
+
+        lines.push(`\nFuzzy matches, add an alias if correct (${report.fuzzy.length}):`);
+        report.fuzzy.forEach(entry => lines.push(`  ${entry.file} ${entry.path}: "${entry.name}" -> ${entry.tag} ("${entry.matchedName}")`));
+
+        lines.push(`\nAliases pointing at tags missing from items.json (${report.brokenAliases.length}):`);
+        report.brokenAliases.forEach(entry => lines.push(`  "${entry.alias}" -> ${entry.tag}`));
+
+        return lines.join('\n');
+    }
+}
+
+// Hypixel item tags and bazaar product IDs: uppercase words joined by underscores (or colons for variants)
+ItemRegistry.TAG_PATTERN = /^[A-Z0-9]+([_:][A-Z0-9]+)+$/;
+
+// Make it globally available
+if (typeof window !== 'undefined') {
+    window.ItemRegistry = ItemRegistry;
+
+    // Create global instance
+    if (!window.globalItemRegistry) {
+        window.globalItemRegistry = new ItemRegistry();
+    }
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ItemRegistry;
+
+    // Validation report: node js/apis/item-registry.js
+    if (require.main === module) {
+        const path = require('path');
+        const fs = require('fs');
+        const jsonsPath = path.join(__dirname, '..', '..', 'jsons');
+        const readJSON = (file) => JSON.parse(fs.readFileSync(path.join(jsonsPath, file), 'utf8'));
+
+        // Without items.json every name would be reported as unresolved
+        const itemsPath = path.join(jsonsPath, 'items.json');
+        if (!fs.existsSync(itemsPath)) {
+            console.error(`${itemsPath} not found, no report without it (see the README)`);
+            process.exitCode = 1;
+        } else {
+            const registry = ItemRegistry.fromPaths(itemsPath, path.join(jsonsPath, 'item-aliases.json'));
+            const report = registry.buildReport(readJSON('forge-recipes.json'), readJSON('corpse-loot-tables.json'));
+            console.log(ItemRegistry.formatReport(report));
+            process.exitCode = report.unresolved.length > 0 ? 1 : 0;
+        }
+    }
+}
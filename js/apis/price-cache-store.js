@@ -0,0 +1,114 @@
+/**
+ * Price Cache Store
+ *
+ * Persists raw bazaar products and auction responses in IndexedDB so PriceAPI
+ * can render from the last visit's data while it fetches fresh prices.
+ * Every record keeps its own timestamp.
+ *
+ * Records:
+ * - bazaar:  { tag, product, timestamp }
+ * - auction: { tag, response, sales, timestamp } (records saved before recent sales were
+ *            tracked have no sales)
+ */
+class PriceCacheStore {
+    constructor(dbName = 'hypixel-price-cache') {
+        this.dbName = dbName;
+        this.dbVersion = 1;
+        this.dbPromise = null;
+    }
+
+    /**
+     * IndexedDB isn't available in Node or some private browsing modes
+     */
+    static isSupported() {
+        return typeof indexedDB !== 'undefined';
+    }
+
+    open() {
+        if (this.dbPromise) {
+            return this.dbPromise;
+        }
+
+        this.dbPromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.dbName, this.dbVersion);
+
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains('bazaar')) {
+                    db.createObjectStore('bazaar', { keyPath: 'tag' });
+                }
+                if (!db.objectStoreNames.contains('auction')) {
+                    db.createObjectStore('auction', { keyPath: 'tag' });
+                }
+            };
+
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+
+        return this.dbPromise;
+    }
+
+    /**
+     * Save every bazaar product from one fetch
+     * @param {Object} products - Product ID -> raw Hypixel product
+     * @param {number} timestamp - When the products were fetched
+     */
+    async saveBazaar(products, timestamp) {
+        const db = await this.open();
+
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction('bazaar', 'readwrite');
+            const store = transaction.objectStore('bazaar');
+
+            for (const [tag, product] of Object.entries(products)) {
+                store.put({ tag, product, timestamp });
+            }
+
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+
+    /**
+     * Save a single auction price response and the item's recent sales
+     * @param {Object[]|null} sales - [{ price, timestamp }], null if the provider had none
+     */
+    async saveAuction(tag, response, sales, timestamp) {
+        const db = await this.open();
+
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction('auction', 'readwrite');
+            transaction.objectStore('auction').put({ tag, response, sales, timestamp });
+
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+
+    /**
+     * Load every cached record
+     * @returns {Promise<Object>} { bazaar: Record[], auction: Record[] }
+     */
+    async loadAll() {
+        const db = await this.open();
+
+        const readStore = (name) => new Promise((resolve, reject) => {
+            const request = db.transaction(name, 'readonly').objectStore(name).getAll();
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+
+        const [bazaar, auction] = await Promise.all([readStore('bazaar'), readStore('auction')]);
+        return { bazaar, auction };
+    }
+}
+
+// Make it globally available
+if (typeof window !== 'undefined') {
+    window.PriceCacheStore = PriceCacheStore;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PriceCacheStore;
+}
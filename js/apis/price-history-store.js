@@ -0,0 +1,248 @@
+/**
+ * Price History Store
+ *
+ * Local time series of the prices PriceAPI fetches for the calculators, kept in IndexedDB:
+ * - minute points for the last day
+ * - hourly averages for the last 30 days (minute points are downsampled once they're a day old)
+ * Each store also keeps at most MAX_POINTS points, the oldest go first.
+ *
+ * Points: { tag, time, instantBuy, instantSell }
+ * Auction points hold the lowest BIN as instantBuy and the median recent sale as instantSell.
+ */
+class PriceHistoryStore {
+    constructor(dbName = 'hypixel-price-history') {
+        this.dbName = dbName;
+        this.dbVersion = 1;
+        this.dbPromise = null;
+
+        this.minuteRetention = 24 * 60 * 60 * 1000; // 1 day of minute data
+        this.hourRetention = 30 * 24 * 60 * 60 * 1000; // 30 days of hourly data
+        this.compactionInterval = 60 * 60 * 1000; // Downsample at most once an hour
+        this.lastCompaction = 0;
+    }
+
+    /**
+     * IndexedDB isn't available in Node or some private browsing modes
+     */
+    static isSupported() {
+        return typeof indexedDB !== 'undefined';
+    }
+
+    open() {
+        if (this.dbPromise) {
+            return this.dbPromise;
+        }
+
+        this.dbPromise = new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.dbName, this.dbVersion);
+
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                for (const name of ['minute', 'hour']) {
+                    if (!db.objectStoreNames.contains(name)) {
+                        const store = db.createObjectStore(name, { keyPath: ['tag', 'time'] });
+                        store.createIndex('time', 'time');
+                    }
+                }
+            };
+
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+
+        return this.dbPromise;
+    }
+
+    /**
+     * Append one fetch's prices as minute points.
+     * Points within the same minute overwrite each other.
+     * @param {Object[]} prices - [{ tag, instantBuy, instantSell }]
+     * @param {number} timestamp - When the prices were fetched
+     */
+    async record(prices, timestamp) {
+        const db = await this.open();
+        const time = Math.floor(timestamp / 60000) * 60000;
+
+        await new Promise((resolve, reject) => {
+            const transaction = db.transaction('minute', 'readwrite');
+            const store = transaction.objectStore('minute');
+
+            for (const price of prices) {
+                store.put({ tag: price.tag, time, instantBuy: price.instantBuy, instantSell: price.instantSell });
+            }
+
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+        });
+
+        if (timestamp - this.lastCompaction > this.compactionInterval) {
+            this.lastCompaction = timestamp;
+            await this.compact(timestamp);
+        }
+    }
+
+    /**
+     * Downsample minute points older than a day into hourly averages and drop hourly
+     * points older than 30 days. Only whole hours are downsampled, so an hour is never
+     * split between two compactions. Then trim both stores to MAX_POINTS.
+     */
+    async compact(now) {
+        const db = await this.open();
+        const cutoff = Math.floor((now - this.minuteRetention) / 3600000) * 3600000;
+
+        await new Promise((resolve, reject) => {
+            const transaction = db.transaction(['minute', 'hour'], 'readwrite');
+            const minuteStore = transaction.objectStore('minute');
+            const hourStore = transaction.objectStore('hour');
+            const buckets = new Map();
+
+            const request = minuteStore.index('time').openCursor(IDBKeyRange.upperBound(cutoff, true));
+            request.onsuccess = () => {
+                const cursor = request.result;
+
+                if (cursor) {
+                    const point = cursor.value;
+                    const time = Math.floor(point.time / 3600000) * 3600000;
+                    const key = `${point.tag}|${time}`;
+                    if (!buckets.has(key)) {
+                        buckets.set(key, { tag: point.tag, time, points: [] });
+                    }
+                    buckets.get(key).points.push(point);
+                    cursor.delete();
+                    cursor.continue();
+                    return;
+                }
+
+                for (const bucket of buckets.values()) {
+                    hourStore.put({
+                        tag: bucket.tag,
+                        time: bucket.time,
+                        instantBuy: PriceHistoryStore.average(bucket.points, 'instantBuy'),
+                        instantSell: PriceHistoryStore.average(bucket.points, 'instantSell')
+                    });
+                }
+
+                const expired = hourStore.index('time').openCursor(IDBKeyRange.upperBound(now - this.hourRetention, true));
+                expired.onsuccess = () => {
+                    const expiredCursor = expired.result;
+                    if (expiredCursor) {
+                        expiredCursor.delete();
+                        expiredCursor.continue();
+                    }
+                };
+            };
+
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+        });
+
+        await this.trim('minute');
+        await this.trim('hour');
+    }
+
+    /**
+     * Delete the oldest points of a store beyond MAX_POINTS
+     * @param {string} name - 'minute' or 'hour'
+     */
+    async trim(name) {
+        const db = await this.open();
+
+        await new Promise((resolve, reject) => {
+            const transaction = db.transaction(name, 'readwrite');
+            const store = transaction.objectStore(name);
+
+            const count = store.count();
+            count.onsuccess = () => {
+                let excess = count.result - PriceHistoryStore.MAX_POINTS;
+                if (excess <= 0) {
+                    return;
+                }
+
+                const request = store.index('time').openCursor();
+                request.onsuccess = () => {
+                    const cursor = request.result;
+                    if (cursor && excess > 0) {
+                        cursor.delete();
+                        excess--;
+                        cursor.continue();
+                    }
+                };
+            };
+
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+        });
+    }
+
+    /**
+     * Points for one item between from and to (inclusive), oldest first
+     * @param {string} tag - Item tag
+     * @param {number} from - Start time in ms
+     * @param {number} to - End time in ms
+     * @param {string} resolution - 'minute' or 'hour'. Hourly queries also average the
+     *                              minute points that haven't been downsampled yet.
+     */
+    async query(tag, from, to, resolution) {
+        const db = await this.open();
+        const range = IDBKeyRange.bound([tag, from], [tag, to]);
+
+        const readStore = (name) => new Promise((resolve, reject) => {
+            const request = db.transaction(name, 'readonly').objectStore(name).getAll(range);
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+
+        const minutePoints = await readStore('minute');
+        if (resolution === 'minute') {
+            return minutePoints.map(PriceHistoryStore.toPoint);
+        }
+
+        const hourPoints = await readStore('hour');
+        const buckets = new Map();
+        for (const point of minutePoints) {
+            const time = Math.floor(point.time / 3600000) * 3600000;
+            if (!buckets.has(time)) {
+                buckets.set(time, []);
+            }
+            buckets.get(time).push(point);
+        }
+
+        const recentHours = Array.from(buckets, ([time, points]) => ({
+            time,
+            instantBuy: PriceHistoryStore.average(points, 'instantBuy'),
+            instantSell: PriceHistoryStore.average(points, 'instantSell')
+        }));
+
+        return hourPoints.map(PriceHistoryStore.toPoint)
+            .concat(recentHours)
+            .sort((a, b) => a.time - b.time);
+    }
+
+    static toPoint(record) {
+        return { time: record.time, instantBuy: record.instantBuy, instantSell: record.instantSell };
+    }
+
+    /**
+     * Average of a field, ignoring missing prices (an empty side of the book)
+     * @returns {number|null} null if no point has a price
+     */
+    static average(points, field) {
+        const values = points.map(point => point[field]).filter(value => value !== null && value !== undefined);
+        if (values.length === 0) {
+            return null;
+        }
+        return values.reduce((sum, value) => sum + value, 0) / values.length;
+    }
+}
+
+// Most points kept in each store, a day of minute points for about 140 items
+PriceHistoryStore.MAX_POINTS = 200000;
+
+// Make it globally available
+if (typeof window !== 'undefined') {
+    window.PriceHistoryStore = PriceHistoryStore;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PriceHistoryStore;
+}
@@ -0,0 +1,228 @@
+/**
+ * Price Providers
+ *
+ * Data sources behind PriceAPI. Providers only fetch raw market data,
+ * PriceAPI does all parsing and caching, so any provider can be swapped in.
+ *
+ * Bazaar provider interface:
+ * - name: string
+ * - fetchBazaarProducts(): Promise<Object>  Hypixel-shaped `products` map (product ID -> product)
+ *
+ * Auction provider interface:
+ * - name: string
+ * - fetchAuctionItems(): Promise<string[]>        Item tags known to the auction house
+ * - fetchAuctionPrice(tag): Promise<Object|null>  Coflnet-shaped `/item/price/{tag}/current` response,
+ *                                                 or null if the provider has no data for the tag
+ * - fetchAuctionSales(tag): Promise<Object[]|null> Recent sales as [{ price, timestamp }] (price per unit,
+ *                                                 timestamp in ms), or null if the provider has no sale data
+ *
+ * Usage:
+ * const snapshot = await SnapshotPriceProvider.fromFile(fileInput.files[0]);
+ * priceAPI.setProviders({ bazaarProvider: snapshot, auctionProvider: snapshot });
+ */
+
+/**
+ * Error for a non-OK response. Carries the status (and Retry-After in seconds, if sent)
+ * so the RequestScheduler can decide whether to retry.
+ */
+function httpError(response) {
+    const error = new Error(`HTTP ${response.status}: ${response.statusText}`);
+    error.status = response.status;
+
+    const retryAfter = parseInt(response.headers.get('Retry-After'));
+    if (!isNaN(retryAfter)) {
+        error.retryAfter = retryAfter;
+    }
+
+    return error;
+}
+
+/**
+ * fetch() that marks its rejections (network failures, including 429s without CORS headers)
+ * with `network`, so the RequestScheduler retries those and not any other error.
+ */
+async function fetchLive(url) {
+    try {
+        return await fetch(url);
+    } catch (fetchError) {
+        const error = new Error(`Network error: ${fetchError.message}`);
+        error.network = true;
+        throw error;
+    }
+}
+
+/**
+ * Live bazaar data from the Hypixel API
+ */
+class HypixelBazaarProvider {
+    constructor() {
+        this.name = 'hypixel';
+        this.bazaarURL = 'https://api.hypixel.net/skyblock/bazaar';
+    }
+
+    async fetchBazaarProducts() {
+        const response = await fetchLive(this.bazaarURL);
+
+        if (!response.ok) {
+            throw httpError(response);
+        }
+
+        const data = await response.json();
+
+        if (!data.success || !data.products) {
+            throw new Error('Invalid bazaar response');
+        }
+
+        return data.products;
+    }
+}
+
+/**
+ * Live auction data from the Coflnet API
+ * (Coflnet doesn't have a bazaar bulk endpoint)
+ */
+class CoflnetAuctionProvider {
+    constructor() {
+        this.name = 'coflnet';
+        this.baseURL = 'https://sky.coflnet.com/api';
+    }
+
+    async fetchAuctionItems() {
+        const response = await fetchLive(`${this.baseURL}/items`);
+
+        if (!response.ok) {
+            throw httpError(response);
+        }
+
+        const items = await response.json();
+
+        if (!Array.isArray(items)) {
+            throw new Error('Invalid items response');
+        }
+
+        return items.filter(item => item.tag).map(item => item.tag);
+    }
+
+    async fetchAuctionPrice(itemTag) {
+        const response = await fetchLive(`${this.baseURL}/item/price/${itemTag}/current`);
+
+        if (!response.ok) {
+            throw httpError(response);
+        }
+
+        return await response.json();
+    }
+
+    /**
+     * Most recent sold auctions (BIN and bid) for an item
+     */
+    async fetchAuctionSales(itemTag) {
+        const response = await fetchLive(`${this.baseURL}/auctions/tag/${itemTag}/sold`);
+
+        if (!response.ok) {
+            throw httpError(response);
+        }
+
+        const sales = await response.json();
+
+        if (!Array.isArray(sales)) {
+            throw new Error('Invalid sold auctions response');
+        }
+
+        // Stacked items (e.g. 64 Enchanted Diamonds) sell as one auction, price them per unit.
+        // count is only sent for stacks, an auction without it holds a single item.
+        return sales.map(sale => ({
+            price: sale.highestBidAmount / (sale.count || 1),
+            timestamp: new Date(sale.end).getTime()
+        }));
+    }
+}
+
+/**
+ * Offline provider backed by a saved snapshot (see PriceAPI.exportSnapshot).
+ * Serves both bazaar and auction data, so every calculator gives the same answer every time.
+ *
+ * Snapshot format:
+ * {
+ *   "createdAt": 1700000000000,
+ *   "bazaar": { "products": { "ENCHANTED_MITHRIL": { ...Hypixel product } } },
+ *   "auction": { "HYPERION": { ...Coflnet current price response } },
+ *   "auctionSales": { "HYPERION": [{ "price": 800000000, "timestamp": 1699990000000 }] }
+ * }
+ * auctionSales is optional, snapshots exported before recent sales were tracked don't have it.
+ */
+class SnapshotPriceProvider {
+    /**
+     * @param {Object} snapshot - Parsed snapshot JSON
+     * @param {string} label - Where the snapshot came from, shown in the UI
+     */
+    constructor(snapshot, label) {
+        if (!snapshot || !snapshot.bazaar || !snapshot.bazaar.products || !snapshot.auction) {
+            throw new Error('Invalid price snapshot: expected bazaar.products and auction');
+        }
+
+        this.name = 'snapshot';
+        this.label = label;
+        this.snapshot = snapshot;
+        this.createdAt = snapshot.createdAt;
+    }
+
+    /**
+     * Load a snapshot from a URL (e.g. a JSON file served next to the page)
+     */
+    static async fromURL(url) {
+        const response = await fetch(url);
+
+        if (!response.ok) {
+            throw new Error(`Failed to load snapshot: HTTP ${response.status}`);
+        }
+
+        return new SnapshotPriceProvider(await response.json(), url);
+    }
+
+    /**
+     * Load a snapshot from a File picked with <input type="file">
+     */
+    static async fromFile(file) {
+        const text = await file.text();
+        return new SnapshotPriceProvider(JSON.parse(text), file.name);
+    }
+
+    /**
+     * Load a snapshot from disk (Node only)
+     */
+    static fromPath(path) {
+        const fs = require('fs');
+        return new SnapshotPriceProvider(JSON.parse(fs.readFileSync(path, 'utf8')), path);
+    }
+
+    async fetchBazaarProducts() {
+        return this.snapshot.bazaar.products;
+    }
+
+    async fetchAuctionItems() {
+        return Object.keys(this.snapshot.auction);
+    }
+
+    async fetchAuctionPrice(itemTag) {
+        return this.snapshot.auction[itemTag] || null;
+    }
+
+    async fetchAuctionSales(itemTag) {
+        if (!this.snapshot.auctionSales) {
+            return null;
+        }
+        return this.snapshot.auctionSales[itemTag] || null;
+    }
+}
+
+// Make it globally available
+if (typeof window !== 'undefined') {
+    window.HypixelBazaarProvider = HypixelBazaarProvider;
+    window.CoflnetAuctionProvider = CoflnetAuctionProvider;
+    window.SnapshotPriceProvider = SnapshotPriceProvider;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = { HypixelBazaarProvider, CoflnetAuctionProvider, SnapshotPriceProvider };
+}
@@ -0,0 +1,175 @@
+/**
+ * Request Scheduler
+ *
+ * Runs provider requests for PriceAPI so a page pricing hundreds of items doesn't
+ * flood the APIs:
+ * - at most maxConcurrent requests run at once
+ * - identical requests (same key) that are already queued or running share one promise
+ * - each provider gets a rate budget of N requests per time window
+ * - rate limited (429), server (5xx) and network errors are retried with exponential backoff
+ *
+ * Usage:
+ * const data = await scheduler.schedule('coflnet:auction:HYPERION', 'coflnet', () => provider.fetchAuctionPrice('HYPERION'));
+ */
+class RequestScheduler {
+    /**
+     * @param {Object} options
+     * @param {number} options.maxConcurrent - Requests allowed to run at the same time
+     * @param {number} options.maxRetries - Retries for a failed request before giving up
+     * @param {number} options.baseDelay - Backoff in ms before the first retry, doubled on every retry
+     * @param {Object} options.rateLimits - Provider name -> { requests, perMs }
+     */
+    constructor(options = {}) {
+        this.maxConcurrent = options.maxConcurrent !== undefined ? options.maxConcurrent : 4;
+        this.maxRetries = options.maxRetries !== undefined ? options.maxRetries : 3;
+        this.baseDelay = options.baseDelay !== undefined ? options.baseDelay : 1000; // 1s, 2s, 4s
+        // Providers without an entry (e.g. snapshots) aren't rate limited
+        this.rateLimits = options.rateLimits || {};
+
+        this.queue = [];
+        this.active = 0;
+        this.inFlight = new Map(); // key -> promise
+        this.requestTimes = {}; // provider -> start times of requests inside its current window
+        this.wakeTimer = null;
+    }
+
+    /**
+     * Queue a request
+     * @param {string} key - Identifies the request, identical keys are deduplicated
+     * @param {string} provider - Provider name, used for the rate budget
+     * @param {Function} task - Returns a promise for the request's result
+     * @returns {Promise<*>} The task's result
+     */
+    schedule(key, provider, task) {
+        if (this.inFlight.has(key)) {
+            return this.inFlight.get(key);
+        }
+
+        const promise = new Promise((resolve, reject) => {
+            this.queue.push({ key, provider, task, attempt: 0, resolve, reject });
+        });
+
+        this.inFlight.set(key, promise);
+        promise.then(() => this.inFlight.delete(key), () => this.inFlight.delete(key));
+
+        this.drain();
+        return promise;
+    }
+
+    /**
+     * Start queued requests while there are free slots and their providers have budget left
+     */
+    drain() {
+        while (this.active < this.maxConcurrent) {
+            const index = this.queue.findIndex(job => this.hasBudget(job.provider));
+            if (index === -1) {
+                break;
+            }
+
+            const [job] = this.queue.splice(index, 1);
+            this.run(job);
+        }
+
+        this.scheduleWake();
+    }
+
+    hasBudget(provider) {
+        const limit = this.rateLimits[provider];
+        if (!limit) {
+            return true;
+        }
+
+        const now = Date.now();
+        const times = (this.requestTimes[provider] || []).filter(time => now - time < limit.perMs);
+        this.requestTimes[provider] = times;
+
+        return times.length < limit.requests;
+    }
+
+    async run(job) {
+        this.active++;
+        if (this.rateLimits[job.provider]) {
+            this.requestTimes[job.provider].push(Date.now());
+        }
+
+        try {
+            job.resolve(await job.task());
+        } catch (error) {
+            if (this.isRetryable(error) && job.attempt < this.maxRetries) {
+                const backoff = this.baseDelay * 2 ** job.attempt;
+                // Respect the server's Retry-After when it asks for a longer wait
+                const delay = error.retryAfter ? Math.max(backoff, error.retryAfter * 1000) : backoff;
+                job.attempt++;
+
+                console.warn(`⟳ Retrying ${job.key} in ${delay / 1000}s (attempt ${job.attempt}/${this.maxRetries}): ${error.message}`);
+                setTimeout(() => {
+                    this.queue.push(job);
+                    this.drain();
+                }, delay);
+            } else {
+                job.reject(error);
+            }
+        } finally {
+            this.active--;
+            this.drain();
+        }
+    }
+
+    /**
+     * Rate limits, server errors and network failures are worth retrying. Network failures are
+     * fetch() rejections, which the providers mark with `network` (see fetchLive in price-providers.js).
+     */
+    isRetryable(error) {
+        if (error.network) {
+            return true;
+        }
+        return error.status === 429 || error.status >= 500;
+    }
+
+    /**
+     * When queued requests are only waiting on rate budgets, try again once the
+     * oldest request in the blocking window expires
+     */
+    scheduleWake() {
+        if (this.wakeTimer || this.queue.length === 0 || this.active >= this.maxConcurrent) {
+            return;
+        }
+
+        const now = Date.now();
+        let wait = Infinity;
+
+        for (const job of this.queue) {
+            const limit = this.rateLimits[job.provider];
+            const times = this.requestTimes[job.provider];
+            if (limit && times && times.length > 0) {
+                wait = Math.min(wait, times[0] + limit.perMs - now);
+            }
+        }
+
+        if (wait === Infinity) {
+            return;
+        }
+
+        this.wakeTimer = setTimeout(() => {
+            this.wakeTimer = null;
+            this.drain();
+        }, Math.max(wait, 0));
+    }
+
+    getStatus() {
+        return {
+            active: this.active,
+            queued: this.queue.length,
+            inFlight: this.inFlight.size
+        };
+    }
+}
+
+// Make it globally available
+if (typeof window !== 'undefined') {
+    window.RequestScheduler = RequestScheduler;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RequestScheduler;
+}
@@ -0,0 +1,200 @@
+/**
+ * Corpse Loot Simulator
+ *
+ * Opens N corpses many times over to show how the profit of a run of keys is spread, not just
+ * its expected value. Each roll picks a drop by weight out of rollWeight(); weights that add up
+ * to less than the corpse's max weight leave a chance of the roll dropping nothing. A corpse with
+ * 5.7 rolls gets 5 rolls and a 70% chance of a sixth, so it averages the same rolls as
+ * CorpseROICalculator.calculateROI() assumes.
+ *
+ * Usage:
+ * const simulator = new CorpseLootSimulator({ drops, maxWeight: 12195, rolls: 5.7, keyPrice: 150000 });
+ * const result = await simulator.simulate({ corpses: 100, trials: 10000, random: Math.random });
+ */
+class CorpseLootSimulator {
+    /**
+     * @param {Object} corpse
+     * @param {Object[]} corpse.drops - { value, weight } with value the coins a drop sells for after fees
+     * @param {number} corpse.maxWeight - Weight a roll is picked out of, see rollWeight()
+     * @param {number} corpse.rolls - Rolls per corpse, the fraction is the chance of one more roll
+     * @param {number} corpse.keyPrice - Coins to open one corpse
+     */
+    constructor(corpse) {
+        if (!(corpse.maxWeight > 0)) {
+            throw new Error(`Invalid corpse max weight: ${corpse.maxWeight}`);
+        }
+        if (!(corpse.rolls > 0)) {
+            throw new Error(`Invalid rolls per corpse: ${corpse.rolls}`);
+        }
+        if (!(corpse.keyPrice >= 0)) {
+            throw new Error(`Invalid key price: ${corpse.keyPrice}`);
+        }
+
+        this.drops = corpse.drops.filter(drop => drop.weight > 0);
+        this.maxWeight = CorpseLootSimulator.rollWeight(this.drops, corpse.maxWeight);
+        this.rolls = corpse.rolls;
+        this.keyPrice = corpse.keyPrice;
+
+        // Running weight at the end of each drop, a roll picks the first drop whose end is past it
+        let end = 0;
+        this.weightEnds = this.drops.map(drop => (end += drop.weight));
+    }
+
+    /**
+     * Coins from one roll, 0 when it lands past the last drop's weight
+     */
+    roll(random) {
+        const point = random() * this.maxWeight;
+        let low = 0;
+        let high = this.weightEnds.length;
+        while (low < high) {
+            const middle = (low + high) >> 1;
+            if (this.weightEnds[middle] > point) {
+                high = middle;
+            } else {
+                low = middle + 1;
+            }
+        }
+        return low < this.drops.length ? this.drops[low].value : 0;
+    }
+
+    /**
+     * Coins from the drops of one corpse
+     */
+    openCorpse(random) {
+        const whole = Math.floor(this.rolls);
+        const rolls = whole + (random() < this.rolls - whole ? 1 : 0);
+        let value = 0;
+        for (let i = 0; i < rolls; i++) {
+            value += this.roll(random);
+        }
+        return value;
+    }
+
+    /**
+     * Runs the trials CHUNK_OPENINGS corpses at a time, waiting a tick between chunks so a long
+     * simulation doesn't freeze the page.
+     * @param {Object} options
+     * @param {number} options.corpses - Corpses opened in one run (keys used)
+     * @param {number} options.trials - Runs to simulate
+     * @param {Function} options.random - Returns a number in [0, 1), e.g. Math.random
+     * @returns {Promise<Object>} { corpses, trials, mean, min, max, lossChance, percentiles, histogram } with
+     *                   the profit of a whole run after keys and fees; percentiles maps each of PERCENTILES to
+     *                   a profit and histogram is HISTOGRAM_BINS bins of { from, to, count }
+     */
+    async simulate(options) {
+        if (!Number.isInteger(options.corpses) || options.corpses < 1) {
+            throw new Error(`Invalid number of corpses: ${options.corpses}`);
+        }
+        if (!Number.isInteger(options.trials) || options.trials < 1) {
+            throw new Error(`Invalid number of trials: ${options.trials}`);
+        }
+        if (options.corpses * options.trials > CorpseLootSimulator.MAX_OPENINGS) {
+            throw new Error(`${options.corpses} corpses x ${options.trials} trials is more than ${CorpseLootSimulator.MAX_OPENINGS.toLocaleString()} openings, use fewer trials`);
+        }
+
+        const keys = options.corpses * this.keyPrice;
+        const profits = new Float64Array(options.trials);
+        const trialsPerChunk = Math.max(1, Math.floor(CorpseLootSimulator.CHUNK_OPENINGS / options.corpses));
+        for (let trial = 0; trial < options.trials; trial++) {
+            if (trial > 0 && trial % trialsPerChunk === 0) {
+                await new Promise(resolve => setTimeout(resolve, 0));
+            }
+            let value = 0;
+            for (let corpse = 0; corpse < options.corpses; corpse++) {
+                value += this.openCorpse(options.random);
+            }
+            profits[trial] = value - keys;
+        }
+        profits.sort();
+
+        const percentiles = {};
+        CorpseLootSimulator.PERCENTILES.forEach(percentile => {
+            percentiles[percentile] = CorpseLootSimulator.percentile(profits, percentile);
+        });
+
+        return {
+            corpses: options.corpses,
+            trials: options.trials,
+            mean: profits.reduce((sum, profit) => sum + profit, 0) / profits.length,
+            min: profits[0],
+            max: profits[profits.length - 1],
+            lossChance: profits.filter(profit => profit < 0).length / profits.length,
+            percentiles,
+            histogram: CorpseLootSimulator.histogram(profits)
+        };
+    }
+
+    /**
+     * Weight a roll is picked out of. Drops can add up to more than the corpse's max weight (the
+     * loot tables are gathered from drop reports), and their chances can't add up to more than
+     * 100%, so the larger of the two is used. CorpseROICalculator prices drops with the same rule.
+     * @param {Object[]} drops - { weight }
+     * @param {number} maxWeight - The corpse's max weight
+     */
+    static rollWeight(drops, maxWeight) {
+        const totalWeight = drops.reduce((sum, drop) => sum + drop.weight, 0);
+        return Math.max(totalWeight, maxWeight);
+    }
+
+    /**
+     * Nearest-rank percentile of sorted values
+     */
+    static percentile(sorted, percentile) {
+        const rank = Math.ceil(percentile / 100 * sorted.length);
+        return sorted[Math.min(sorted.length - 1, Math.max(0, rank - 1))];
+    }
+
+    /**
+     * Equal-width bins over the middle HISTOGRAM_RANGE percentiles of sorted values. Rare drops can
+     * put a few runs far from the rest, so values outside the range are counted in the edge bins
+     * instead of stretching every bin.
+     * @returns {Object[]} { from, to, count }
+     */
+    static histogram(sorted) {
+        const [lowPercentile, highPercentile] = CorpseLootSimulator.HISTOGRAM_RANGE;
+        const low = CorpseLootSimulator.percentile(sorted, lowPercentile);
+        const high = CorpseLootSimulator.percentile(sorted, highPercentile);
+
+        // Every run made the same profit, one bin holds them all
+        if (high === low) {
+            return [{ from: low, to: high, count: sorted.length }];
+        }
+
+        const binCount = CorpseLootSimulator.HISTOGRAM_BINS;
+        const width = (high - low) / binCount;
+        const bins = Array.from({ length: binCount }, (_, index) => ({
+            from: low + index * width,
+            to: low + (index + 1) * width,
+            count: 0
+        }));
+        sorted.forEach(value => {
+            const index = Math.min(binCount - 1, Math.max(0, Math.floor((value - low) / width)));
+            bins[index].count++;
+        });
+        return bins;
+    }
+}
+
+// Percentiles reported for a simulation
+CorpseLootSimulator.PERCENTILES = [5, 10, 25, 50, 75, 90, 95];
+
+CorpseLootSimulator.HISTOGRAM_BINS = 30;
+
+// Percentiles the histogram spans, values outside fall in the first or last bin
+CorpseLootSimulator.HISTOGRAM_RANGE = [1, 99];
+
+// Most corpses opened across all trials of one simulation
+CorpseLootSimulator.MAX_OPENINGS = 2000000;
+
+// Corpses opened between waits for the page, a chunk takes a few milliseconds
+CorpseLootSimulator.CHUNK_OPENINGS = 20000;
+
+// Make it globally available
+if (typeof window !== 'undefined') {
+    window.CorpseLootSimulator = CorpseLootSimulator;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CorpseLootSimulator;
+}
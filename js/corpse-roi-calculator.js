@@ -2,8 +2,9 @@ class CorpseROICalculator {
     constructor() {
         console.log('CorpseROICalculator constructor called');
         try {
-            this.bazaarAPI = window.globalBazaarAPI || new HypixelBazaarAPI();
-            this.coflnetAPI = window.globalCoflnetAPI || new CoflnetAuctionAPI();
+            // Shared Price API - bazaar and auction
+            this.priceAPI = window.globalPriceAPI || new PriceAPI();
+            this.itemRegistry = window.globalItemRegistry || new ItemRegistry();
             console.log('APIs assigned successfully');
         } catch (error) {
             console.error('Error assigning APIs:', error);
@@ -18,19 +19,32 @@ class CorpseROICalculator {
             umber: "Umber Key",
             lapis: "Free" // Lapis corpse is free
         };
-        this.corpseMaxWeights = {
-            vanguard: 2399,
-            tungsten: 12195,
-            umber: 12195,
-            lapis: 24890
-        };
-        this.corpseRolls = {
-            vanguard: 6.7,
-            tungsten: 5.7,
-            umber: 5.7,
-            lapis: 4.7
-        };
+        // Weight each corpse's rolls are picked out of and rolls per corpse, read from corpse-loot-tables.json
+        this.corpseMaxWeights = null;
+        this.corpseRolls = null;
         this.itemPrices = {};
+        
+        // Market manipulation warnings for bazaar drops, by item name
+        this.marketFlags = {};
+        
+        // Drops whose prices changed in the last auto-refresh, highlighted on the next render
+        this.updatedDrops = new Set();
+        
+        // Bazaar sides used for the key (buy) and the drops (sell), read from the price settings
+        this.priceSides = { buy: null, sell: null };
+        // Valuation strategy for auction drops (one of PriceAPI.AUCTION_STRATEGIES), read from the price settings
+        this.auctionStrategy = null;
+        this.initializePriceSideControls();
+        this.initializeSimulationControls();
+        
+        // Selling fees (MarketFees), read from the shared fee settings
+        this.marketFees = MarketFees.bindControls((fees) => {
+            this.marketFees = fees;
+            if (this.currentCorpse) {
+                this.calculateROI();
+            }
+        });
+        
         this.sortColumn = null;
         this.sortDirection = 'asc';
         this.isLoaded = false;
@@ -38,14 +52,59 @@ class CorpseROICalculator {
         // Initialize gemstone pricing reference
         this.gemstonePricing = null;
         
+        // Auto-refresh only updates PriceAPI, re-price the drops it touched
+        this.priceAPI.on('update', (update) => this.handlePriceUpdate(update));
+        
+        // Same refresh cycle as the other calculators
+        this.priceAPI.startAutoRefresh(60000);
+        
         console.log('CorpseROICalculator constructor completed');
     }
 
+    /**
+     * Read the bazaar side and auction strategy selects and re-price the current corpse when they change
+     */
+    initializePriceSideControls() {
+        const buyPriceSide = document.getElementById('buyPriceSide');
+        const sellPriceSide = document.getElementById('sellPriceSide');
+        const auctionStrategy = document.getElementById('auctionStrategy');
+        this.priceSides.buy = buyPriceSide.value;
+        this.priceSides.sell = sellPriceSide.value;
+        this.auctionStrategy = auctionStrategy.value;
+        
+        const onChange = async () => {
+            this.priceSides.buy = buyPriceSide.value;
+            this.priceSides.sell = sellPriceSide.value;
+            this.auctionStrategy = auctionStrategy.value;
+            
+            if (this.gemstonePricing) {
+                this.gemstonePricing.setPriceSides(this.priceSides);
+            }
+            
+            if (this.currentCorpse) {
+                await this.autoSetKeyPrice(this.currentCorpse);
+                await this.updatePrices();
+            }
+        };
+        
+        buyPriceSide.addEventListener('change', onChange);
+        sellPriceSide.addEventListener('change', onChange);
+        auctionStrategy.addEventListener('change', onChange);
+    }
+
+    /**
+     * Run the loot simulation from its button; a result is cleared when the corpse changes
+     */
+    initializeSimulationControls() {
+        document.getElementById('runSimulation').addEventListener('click', () => this.runSimulation());
+    }
+
     /**
      * Set the gemstone pricing utility reference
      */
     setGemstonePricing(gemstonePricing) {
         this.gemstonePricing = gemstonePricing;
+        this.gemstonePricing.setPriceSides(this.priceSides);
         console.log('Gemstone pricing utility set for corpse calculator');
     }
 
@@ -136,36 +195,24 @@ class CorpseROICalculator {
         return Math.round(num).toLocaleString();
     }
 
+    /**
+     * Load corpse-loot-tables.json, throws when it can't be read or lacks the max weights or rolls
+     * (there's nothing to price the drops with then)
+     */
     async loadLootTables() {
-        try {
-            const response = await fetch('../jsons/corpse-loot-tables.json');
-            const data = await response.json();
-            this.dropTables = data.corpseDropTables;
-            if (data.keyNames) {
-                this.keyNames = data.keyNames;
-            }
-            this.isLoaded = true;
-            console.log('Loot tables loaded successfully');
-        } catch (error) {
-            console.error('Error loading loot tables:', error);
-            // Fallback to basic tables if JSON fails to load
-            this.dropTables = {
-                vanguard: [
-                    { name: "Skeleton Key", quantity: 1, weight: 6, source: "bazaar" },
-                    { name: "Umber Key", quantity: 4, weight: 10, source: "bazaar" }
-                ],
-                tungsten: [
-                    { name: "Tungsten Key", quantity: 1, weight: 10, source: "bazaar" }
-                ],
-                umber: [
-                    { name: "Umber Key", quantity: 1, weight: 10, source: "bazaar" }
-                ],
-                lapis: [
-                    { name: "Lapis Key", quantity: 1, weight: 10, source: "bazaar" }
-                ]
-            };
-            this.isLoaded = true;
+        const response = await fetch('../jsons/corpse-loot-tables.json');
+        const data = await response.json();
+        if (!data.corpseMaxWeights || !data.corpseRolls) {
+            throw new Error('corpse-loot-tables.json has no corpseMaxWeights or corpseRolls');
+        }
+        this.dropTables = data.corpseDropTables;
+        if (data.keyNames) {
+            this.keyNames = data.keyNames;
         }
+        this.corpseMaxWeights = data.corpseMaxWeights;
+        this.corpseRolls = data.corpseRolls;
+        this.isLoaded = true;
+        console.log('Loot tables loaded successfully');
     }
 
     async setCorpseType(corpseType) {
@@ -178,10 +225,18 @@ class CorpseROICalculator {
         // Wait for loot tables to load if not already loaded
         if (!this.isLoaded) {
             console.log('Loading loot tables...');
-            await this.loadLootTables();
+            try {
+                await this.loadLootTables();
+            } catch (error) {
+                console.error('Error loading loot tables:', error);
+                this.showLoading(false);
+                this.showStatus(`Couldn't load the loot tables: ${error.message}`, 'error');
+                return;
+            }
         }
         
         this.currentCorpse = corpseType;
+        document.getElementById('simulationResult').classList.add('hidden');
         const keyName = this.keyNames[corpseType];
         console.log('Key name for corpse:', keyName);
         
@@ -217,7 +272,7 @@ class CorpseROICalculator {
                 // Wait a moment to ensure APIs are ready
                 await new Promise(resolve => setTimeout(resolve, 100));
                 
-                const price = await this.bazaarAPI.getItemPriceByName(keyName);
+                const price = await this.priceAPI.getItemPriceByName(keyName, this.priceSides.buy);
                 console.log('Fetched price:', price);
                 this.keyPrice = price;
                 
@@ -250,6 +305,8 @@ class CorpseROICalculator {
         try {
             this.showStatus('Fetching latest prices...', 'success');
             
+            await this.itemRegistry.load();
+            
             // Get all unique items
             const uniqueItems = [...new Set(dropItems.map(item => item.name))];
             
@@ -257,47 +314,11 @@ class CorpseROICalculator {
             for (const itemName of uniqueItems) {
                 try {
                     const item = dropItems.find(d => d.name === itemName);
-                    let price = 0;
+                    this.itemPrices[itemName] = await this.getItemPrice(item);
                     
-                    // Check if this is a crystal item first
-                    if (this.isCrystalItem(itemName)) {
-                        price = await this.getCrystalPriceForItem(itemName);
-                        console.log(`Crystal price for ${itemName}: ${price}`);
-                    } else if (item.source === 'bazaar') {
-                        price = await this.bazaarAPI.getItemPriceByName(itemName);
-                    } else if (item.source === 'auction') {
-                        // Try Coflnet first, then fallback
-                        try {
-                            console.log(`=== AUCTION ITEM DEBUG: ${itemName} ===`);
-                            
-                            // Try multiple variations of the name
-                            const variations = [
-                                itemName,
-                                itemName.replace('Locket', 'Pendant'),
-                                'SHATTERED_PENDANT',
-                                'Shattered Pendant'
-                            ];
-                            
-                            for (const variation of variations) {
-                                console.log(`Trying variation: "${variation}"`);
-                                const testPrice = await this.coflnetAPI.getLowestBIN(variation);
-                                if (testPrice > 0) {
-                                    console.log(`SUCCESS: ${variation} returned ${testPrice}`);
-                                    price = testPrice;
-                                    break;
-                                }
-                            }
-                            
-                            if (price === 0) {
-                                console.warn(`All variations failed for ${itemName}`);
-                            }
-                        } catch (e) {
-                            console.warn(`Coflnet failed for ${itemName}, setting to 0:`, e);
-                            price = 0;
-                        }
+                    if (item.source === 'bazaar' && !this.isCrystalItem(itemName)) {
+                        await this.loadMarketFlags(itemName);
                     }
-                    
-                    this.itemPrices[itemName] = price;
                 } catch (error) {
                     console.error(`Error fetching price for ${itemName}:`, error);
                     this.itemPrices[itemName] = 0;
@@ -319,6 +340,132 @@ class CorpseROICalculator {
         }
     }
 
+    /**
+     * Unit price of a drop, the same way on the first load and after an auto-refresh
+     * @returns {Promise<number>} Price in coins, 0 if the drop can't be priced
+     */
+    async getItemPrice(item) {
+        // Crystals are valued by the gemstone pricing, whatever source the drop table lists
+        if (this.isCrystalItem(item.name)) {
+            return await this.getCrystalPriceForItem(item.name);
+        }
+        if (item.source === 'bazaar') {
+            return await this.priceAPI.getItemPriceByName(item.name, this.priceSides.sell);
+        }
+        if (item.source === 'auction') {
+            const itemTag = this.itemRegistry.getTag(item.name);
+            if (itemTag) {
+                return await this.priceAPI.getAuctionValue(itemTag, this.auctionStrategy);
+            }
+            console.warn(`No item tag for ${item.name}, add it to item-aliases.json`);
+        }
+        return 0;
+    }
+
+    /**
+     * Re-price the current corpse's key and drops after an auto-refresh moved their prices,
+     * and highlight the drops that changed
+     * @param {Object} update - PriceAPI 'update' event payload
+     */
+    async handlePriceUpdate(update) {
+        if (!this.currentCorpse) {
+            return;
+        }
+        
+        const changes = new Map(update.changes.map(change => [change.tag, change]));
+        const changedDrops = new Set();
+        const repricing = [];
+        
+        this.dropTables[this.currentCorpse].forEach(item => {
+            const change = changes.get(this.itemRegistry.getTag(item.name));
+            if (!change || changedDrops.has(item.name)) {
+                return;
+            }
+            
+            changedDrops.add(item.name);
+            // The changed prices are already cached, so this doesn't fetch
+            repricing.push(this.getItemPrice(item).then(price => {
+                this.itemPrices[item.name] = price;
+            }));
+            // Spreads, volumes and jumps move with the price
+            if (change.source === 'bazaar' && !this.isCrystalItem(item.name)) {
+                repricing.push(this.loadMarketFlags(item.name));
+            }
+        });
+        
+        const keyName = this.keyNames[this.currentCorpse];
+        const keyChange = keyName !== 'Free' ? changes.get(this.itemRegistry.getTag(keyName)) : undefined;
+        if (keyChange) {
+            this.keyPrice = this.priceAPI.getBazaarPrice(keyChange.tag, this.priceSides.buy);
+        }
+        
+        if (changedDrops.size === 0 && !keyChange) {
+            return;
+        }
+        
+        await Promise.allSettled(repricing);
+        
+        this.updatedDrops = changedDrops;
+        this.updateDropTable();
+        this.updatedDrops = new Set();
+        this.calculateROI();
+    }
+
+    /**
+     * Value of a single drop entry.
+     * Bazaar drops are priced by walking the order book for the whole stack,
+     * so 160 Fine Onyx Gemstones aren't valued at 160x the top buy order.
+     * @returns {Object} { unitPrice, totalValue, fees, sufficient } - fees are the cost of selling the whole stack
+     */
+    getDropValue(item) {
+        // Crystals are priced and sold on the auction house
+        const saleSource = item.source === 'crystal' ? 'auction' : item.source;
+        
+        if (item.source === 'bazaar') {
+            const fill = this.priceAPI.getFillPrice(item.name, item.quantity, this.priceSides.sell);
+            if (fill) {
+                return {
+                    unitPrice: fill.averagePrice,
+                    totalValue: fill.averagePrice * item.quantity,
+                    fees: this.marketFees.sellFees(saleSource, fill.averagePrice, item.quantity).fees,
+                    sufficient: fill.sufficient
+                };
+            }
+        }
+        
+        const price = this.itemPrices[item.name] || 0;
+        return {
+            unitPrice: price,
+            totalValue: price * item.quantity,
+            fees: this.marketFees.sellFees(saleSource, price, item.quantity).fees,
+            sufficient: true
+        };
+    }
+
+    /**
+     * Check a bazaar drop for manipulation warnings (see PriceAPI.getMarketFlags)
+     */
+    async loadMarketFlags(itemName) {
+        const itemTag = this.itemRegistry.getTag(itemName);
+        
+        try {
+            this.marketFlags[itemName] = itemTag ? await this.priceAPI.getMarketFlags(itemTag) : [];
+        } catch (error) {
+            console.error(`Error checking market flags for ${itemName}:`, error);
+            this.marketFlags[itemName] = [];
+        }
+    }
+
+    renderMarketFlags(itemName) {
+        const flags = this.marketFlags[itemName] || [];
+        if (flags.length === 0) {
+            return '';
+        }
+        
+        const title = flags.map(flag => flag.message).join('\n');
+        return ` <span class="market-flag" title="Possible price manipulation:\n${title}">⚑</span>`;
+    }
+
     updateDropTable() {
         if (!this.currentCorpse) return;
         
@@ -326,24 +473,35 @@ class CorpseROICalculator {
         const tbody = document.getElementById('dropTableBody');
         tbody.innerHTML = '';
         
-        // Use fixed total weight for this corpse type
-        const totalWeight = this.corpseMaxWeights[this.currentCorpse];
+        // Weight a roll is picked out of, the same rule the loot simulator uses
+        const totalWeight = CorpseLootSimulator.rollWeight(dropItems, this.corpseMaxWeights[this.currentCorpse]);
         const rollsPerCorpse = this.corpseRolls[this.currentCorpse]; // Different rolls per corpse type
         
+        // Say when the listed drops outweigh the corpse, the chances then aren't out of its max weight
+        const maxWeight = this.corpseMaxWeights[this.currentCorpse];
+        const weightNote = document.getElementById('dropWeightNote');
+        weightNote.textContent = `The drops listed add up to ${totalWeight.toLocaleString()} weight, more than this corpse's max of ${maxWeight.toLocaleString()}, so chances are out of ${totalWeight.toLocaleString()}.`;
+        weightNote.classList.toggle('hidden', totalWeight === maxWeight);
+        
         dropItems.forEach(item => {
-            const price = this.itemPrices[item.name] || 0;
-            const totalValue = price * item.quantity;
+            const value = this.getDropValue(item);
+            const price = value.unitPrice;
+            const totalValue = value.totalValue;
+            const depthWarning = value.sufficient ? '' : ' <span class="depth-warning" title="Not enough bazaar depth to sell this stack">⚠</span>';
             const weightPercentage = ((item.weight / totalWeight) * 100).toFixed(2);
             const weightedValuePerRoll = totalValue * (item.weight / totalWeight);
             const weightedValuePerCorpse = weightedValuePerRoll * rollsPerCorpse;
             
             const row = document.createElement('tr');
+            if (this.updatedDrops.has(item.name)) {
+                row.classList.add('price-updated');
+            }
             row.innerHTML = `
                 <td>${item.name}</td>
                 <td>${item.quantity.toLocaleString()}</td>
-                <td title="Max weight for ${this.currentCorpse}: ${totalWeight.toLocaleString()}">${item.weight.toLocaleString()}</td>
+                <td title="Roll weight for ${this.currentCorpse}: ${totalWeight.toLocaleString()}">${item.weight.toLocaleString()}</td>
                 <td>${weightPercentage}%</td>
-                <td class="item-price">${this.formatPrice(price)}</td>
+                <td class="item-price">${this.formatPrice(price)}${depthWarning}${this.renderMarketFlags(item.name)}</td>
                 <td class="item-price">${this.formatPrice(totalValue)}</td>
                 <td class="item-price">${this.formatPrice(weightedValuePerCorpse)}</td>
             `;
@@ -363,28 +521,35 @@ class CorpseROICalculator {
             return;
         }
         
-        // Use fixed total weight for this corpse type
-        const totalWeight = this.corpseMaxWeights[this.currentCorpse];
+        // Weight a roll is picked out of, the same rule the loot simulator uses
+        const totalWeight = CorpseLootSimulator.rollWeight(dropItems, this.corpseMaxWeights[this.currentCorpse]);
         const rollsPerCorpse = this.corpseRolls[this.currentCorpse]; // Different rolls per corpse type
         
-        // Calculate expected value per roll
+        // Calculate expected value and selling fees per roll
         let expectedValuePerRoll = 0;
+        let expectedFeesPerRoll = 0;
         dropItems.forEach(item => {
-            const price = this.itemPrices[item.name] || 0;
-            const totalValue = price * item.quantity;
+            const value = this.getDropValue(item);
             const probability = item.weight / totalWeight;
-            expectedValuePerRoll += totalValue * probability;
+            expectedValuePerRoll += value.totalValue * probability;
+            expectedFeesPerRoll += value.fees * probability;
         });
         
         // Calculate expected value for all rolls from one corpse
         const expectedValuePerCorpse = expectedValuePerRoll * rollsPerCorpse;
+        const expectedFeesPerCorpse = expectedFeesPerRoll * rollsPerCorpse;
         
-        const profit = expectedValuePerCorpse - this.keyPrice;
+        // Profit before and after the costs of selling the drops
+        const grossProfit = expectedValuePerCorpse - this.keyPrice;
+        const profit = grossProfit - expectedFeesPerCorpse;
         const roiPercentage = this.keyPrice > 0 ? ((profit / this.keyPrice) * 100) : 0;
         
         // Update new results display
         document.getElementById('keyCostDisplay').textContent = this.formatPrice(this.keyPrice);
         document.getElementById('avgRevenueDisplay').textContent = this.formatPrice(expectedValuePerCorpse);
+        document.getElementById('feesDisplay').textContent = this.formatPrice(expectedFeesPerCorpse);
+        document.getElementById('grossProfitDisplay').textContent = this.formatPrice(grossProfit);
+        document.getElementById('grossProfitDisplay').className = `roi-value ${grossProfit >= 0 ? 'positive' : 'negative'}`;
         document.getElementById('expectedProfitDisplay').textContent = this.formatPrice(profit);
         document.getElementById('expectedProfitDisplay').className = `roi-value ${profit >= 0 ? 'positive' : 'negative'}`;
         
@@ -414,16 +579,127 @@ class CorpseROICalculator {
         
         // Show status
         const statusText = profit >= 0 ? 
-            `💰 Profitable! Expected profit of ${this.formatPrice(profit)} per key (${roiPercentage.toFixed(1)}% ROI)` :
-            `📉 Not profitable. Expected loss of ${this.formatPrice(Math.abs(profit))} per key (${roiPercentage.toFixed(1)}% ROI)`;
+            `💰 Profitable! Expected profit of ${this.formatPrice(profit)} per key after fees (${roiPercentage.toFixed(1)}% ROI)` :
+            `📉 Not profitable. Expected loss of ${this.formatPrice(Math.abs(profit))} per key after fees (${roiPercentage.toFixed(1)}% ROI)`;
         this.showStatus(statusText, profit >= 0 ? 'success' : 'warning');
     }
 
+    /**
+     * Simulate opening the current corpse with the current prices, see CorpseLootSimulator. The
+     * button is disabled until it finishes, and a result for a corpse that's no longer selected
+     * is dropped.
+     */
+    async runSimulation() {
+        if (!this.currentCorpse) {
+            this.showStatus('Please select a corpse type first', 'warning');
+            return;
+        }
+        
+        const dropItems = this.dropTables[this.currentCorpse];
+        if (!dropItems || dropItems.length === 0) {
+            this.showStatus('No drop table available for this corpse', 'warning');
+            return;
+        }
+        
+        // Each drop is worth what it sells for after fees, like the expected profit
+        const drops = dropItems.map(item => {
+            const value = this.getDropValue(item);
+            return { value: value.totalValue - value.fees, weight: item.weight };
+        });
+        
+        const corpseType = this.currentCorpse;
+        const button = document.getElementById('runSimulation');
+        button.disabled = true;
+        this.showStatus('Simulating...', 'success');
+        try {
+            const simulator = new CorpseLootSimulator({
+                drops,
+                maxWeight: this.corpseMaxWeights[this.currentCorpse],
+                rolls: this.corpseRolls[this.currentCorpse],
+                keyPrice: this.keyPrice
+            });
+            const result = await simulator.simulate({
+                corpses: Number(document.getElementById('simulationCorpses').value),
+                trials: Number(document.getElementById('simulationTrials').value),
+                random: Math.random
+            });
+            if (this.currentCorpse === corpseType) {
+                this.displaySimulation(result);
+            }
+        } catch (error) {
+            console.error('Loot simulation failed:', error);
+            this.showStatus(error.message, 'error');
+        } finally {
+            button.disabled = false;
+        }
+    }
+
+    displaySimulation(result) {
+        const container = document.getElementById('simulationResult');
+        const profitClass = (profit) => profit >= 0 ? 'positive' : 'negative';
+        const stat = (label, value, className) => `
+            <div class="roi-item">
+                <span class="roi-label">${label}</span>
+                <span class="roi-value ${className}">${value}</span>
+            </div>`;
+        
+        const corpseName = this.currentCorpse.charAt(0).toUpperCase() + this.currentCorpse.slice(1);
+        const lossPercent = (result.lossChance * 100).toFixed(1);
+        
+        const percentileRows = Object.entries(result.percentiles)
+            .map(([percentile, profit]) => `
+                <tr>
+                    <td>${percentile}th</td>
+                    <td class="item-price roi-value ${profitClass(profit)}">${this.formatSignedPrice(profit)}</td>
+                </tr>`)
+            .join('');
+        
+        const largestBin = Math.max(...result.histogram.map(bin => bin.count));
+        const bars = result.histogram
+            .map(bin => {
+                const share = (bin.count / result.trials * 100).toFixed(1);
+                const title = `${this.formatSignedPrice(bin.from)} to ${this.formatSignedPrice(bin.to)}: ${share}% of runs`;
+                // A bin that crosses zero is coloured by its middle
+                return `<div class="histogram-bar ${profitClass((bin.from + bin.to) / 2)}" title="${title}" style="height: ${(bin.count / largestBin * 100).toFixed(2)}%"></div>`;
+            })
+            .join('');
+        const first = result.histogram[0];
+        const last = result.histogram[result.histogram.length - 1];
+        
+        container.innerHTML = `
+            <h3>${corpseName} Corpse - ${result.corpses.toLocaleString()} keys, ${result.trials.toLocaleString()} runs</h3>
+            <div class="results-container">
+                <div class="roi-summary">
+                    ${stat('Average Profit:', this.formatSignedPrice(result.mean), profitClass(result.mean))}
+                    ${stat('Median Profit:', this.formatSignedPrice(result.percentiles[50]), profitClass(result.percentiles[50]))}
+                    ${stat('Chance Of A Loss:', `${lossPercent}%`, '')}
+                    ${stat('Worst Run:', this.formatSignedPrice(result.min), profitClass(result.min))}
+                    ${stat('Best Run:', this.formatSignedPrice(result.max), profitClass(result.max))}
+                </div>
+                <div class="table-container">
+                    <table class="simulation-percentiles">
+                        <thead><tr><th>Percentile</th><th>Profit</th></tr></thead>
+                        <tbody>${percentileRows}</tbody>
+                    </table>
+                </div>
+            </div>
+            <div class="histogram">${bars}</div>
+            <div class="histogram-axis">
+                <span>${this.formatSignedPrice(first.from)} or less</span>
+                <span>${this.formatSignedPrice(last.to)} or more</span>
+            </div>
+        `;
+        container.classList.remove('hidden');
+        
+        this.showStatus(`Simulated ${result.trials.toLocaleString()} runs of ${result.corpses.toLocaleString()} keys: ${lossPercent}% end at a loss`, result.lossChance > 0.5 ? 'warning' : 'success');
+    }
+
     sortTable(column) {
         if (!this.currentCorpse) return;
         
         const dropItems = this.dropTables[this.currentCorpse];
-        const totalWeight = dropItems.reduce((sum, item) => sum + item.weight, 0);
+        const totalWeight = CorpseLootSimulator.rollWeight(dropItems, this.corpseMaxWeights[this.currentCorpse]);
+        const rollsPerCorpse = this.corpseRolls[this.currentCorpse]; // Different rolls per corpse type
         
         // Toggle sort direction if same column
         if (this.sortColumn === column) {
@@ -435,11 +711,10 @@ class CorpseROICalculator {
         
         // Create sortable data array
         const sortableData = dropItems.map(item => {
-            const price = this.itemPrices[item.name] || 0;
-            const totalValue = price * item.quantity;
-            const totalWeight = this.corpseMaxWeights[this.currentCorpse];
+            const value = this.getDropValue(item);
+            const price = value.unitPrice;
+            const totalValue = value.totalValue;
             const weightPercent = (item.weight / totalWeight) * 100;
-            const rollsPerCorpse = this.corpseRolls[this.currentCorpse]; // Different rolls per corpse type
             const weightedValue = totalValue * (item.weight / totalWeight) * rollsPerCorpse;
             
             return {
@@ -519,6 +794,13 @@ class CorpseROICalculator {
         }
     }
 
+    /**
+     * formatPrice with a sign, for profits that can be losses
+     */
+    formatSignedPrice(price) {
+        return (price < 0 ? '-' : '') + this.formatPrice(Math.abs(price));
+    }
+
     showLoading(show) {
         const loadingEl = document.getElementById('loading');
         const dropTableContainer = document.getElementById('dropTableContainer');
@@ -614,7 +896,9 @@ class CorpseROICalculator {
         // For now, we'll just log the data that would be saved
         const dataToSave = {
             corpseDropTables: this.dropTables,
-            keyNames: this.keyNames
+            keyNames: this.keyNames,
+            corpseMaxWeights: this.corpseMaxWeights,
+            corpseRolls: this.corpseRolls
         };
         
         console.log('Loot tables would be saved:', JSON.stringify(dataToSave, null, 2));
@@ -627,7 +911,9 @@ class CorpseROICalculator {
     downloadLootTables() {
         const dataToSave = {
             corpseDropTables: this.dropTables,
-            keyNames: this.keyNames
+            keyNames: this.keyNames,
+            corpseMaxWeights: this.corpseMaxWeights,
+            corpseRolls: this.corpseRolls
         };
         
         const blob = new Blob([JSON.stringify(dataToSave, null, 2)], { type: 'application/json' });
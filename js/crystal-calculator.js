@@ -2,8 +2,8 @@ class CrystalCalculator {
     constructor() {
         console.log('CrystalCalculator constructor called');
         try {
-            this.bazaarAPI = window.globalBazaarAPI || new HypixelBazaarAPI();
-            this.coflnetAPI = window.globalCoflnetAPI || new CoflnetAuctionAPI();
+            // Shared Price API - bazaar, auction and price history
+            this.priceAPI = window.globalPriceAPI || new PriceAPI();
             console.log('APIs assigned successfully');
         } catch (error) {
             console.error('Error assigning APIs:', error);
@@ -24,10 +24,32 @@ class CrystalCalculator {
         this.flawedNeededForPerfect = this.normalPerPerfect / this.normalPerFlawed; // 32,000 flawed
         this.fineNeededForPerfect = this.normalPerPerfect / this.normalPerFine; // 400 fine
         this.gemstoneData = {};
+        
+        // Bazaar sides: flawed/fine gemstones are bought, perfect gemstones are sold
+        this.priceSides = { buy: null, sell: null };
+        this.initializePriceSideControls();
+        
+        // Selling fees (MarketFees) for the perfect gemstones, read from the shared fee settings
+        this.marketFees = MarketFees.bindControls((fees) => {
+            this.marketFees = fees;
+            this.calculateProfits();
+            this.updateTable();
+            this.updateSummary();
+        });
+        
         this.sortColumn = null;
         this.sortDirection = 'asc';
         this.isCalculating = false;
         
+        // Gemstones whose prices changed in the last auto-refresh, highlighted on the next render
+        this.updatedGemstones = new Set();
+        
+        // Auto-refresh only updates PriceAPI, re-price the gemstones it touched
+        this.priceAPI.on('update', (update) => this.handlePriceUpdate(update));
+        
+        // Same refresh cycle as the other calculators
+        this.priceAPI.startAutoRefresh(60000);
+        
         // Make this accessible globally for other JS files
         window.crystalCalculator = this;
         window.crystalData = this.gemstoneData;
@@ -35,6 +57,23 @@ class CrystalCalculator {
         console.log('CrystalCalculator constructor completed');
     }
 
+    // Read the bazaar side selects and recalculate when they change
+    initializePriceSideControls() {
+        const buyPriceSide = document.getElementById('buyPriceSide');
+        const sellPriceSide = document.getElementById('sellPriceSide');
+        this.priceSides.buy = buyPriceSide.value;
+        this.priceSides.sell = sellPriceSide.value;
+        
+        const onChange = () => {
+            this.priceSides.buy = buyPriceSide.value;
+            this.priceSides.sell = sellPriceSide.value;
+            this.autoCalculate();
+        };
+        
+        buyPriceSide.addEventListener('change', onChange);
+        sellPriceSide.addEventListener('change', onChange);
+    }
+
     // Public method to get current gemstone data for other modules
     getGemstoneData() {
         return this.gemstoneData;
@@ -100,6 +139,30 @@ class CrystalCalculator {
         }
     }
 
+    // Re-price the gemstones whose flawed, fine or perfect price moved in an auto-refresh
+    async handlePriceUpdate(update) {
+        if (this.isCalculating || Object.keys(this.gemstoneData).length === 0) {
+            return;
+        }
+        
+        const changedTags = new Set(update.changes.map(change => change.tag));
+        const affected = this.gemstones.filter(gemstone =>
+            ['FLAWED', 'FINE', 'PERFECT'].some(tier => changedTags.has(`${tier}_${gemstone.toUpperCase()}_GEM`))
+        );
+        
+        if (affected.length === 0) {
+            return;
+        }
+        
+        await Promise.allSettled(affected.map(gemstone => this.updateGemstonePrice(gemstone)));
+        this.calculateProfits();
+        
+        this.updatedGemstones = new Set(affected);
+        this.updateTable();
+        this.updatedGemstones.clear();
+        this.updateSummary();
+    }
+
     initializeGemstoneData() {
         this.gemstoneData = {};
         this.gemstones.forEach(gemstone => {
@@ -108,12 +171,15 @@ class CrystalCalculator {
                 flawedPrice: 0,
                 finePrice: 0,
                 perfectPrice: 0,
+                perfectSource: null,
                 flawedPerNormal: 0,
                 finePerNormal: 0,
                 flawedTotalCost: 0,
                 fineTotalCost: 0,
                 bestMethod: 'Loading...',
                 bestCost: 0,
+                grossProfit: 0,
+                fees: 0,
                 profit: 0,
                 status: 'Loading...',
                 useFlawed: false
@@ -137,21 +203,23 @@ class CrystalCalculator {
         try {
             // Get flawed gemstone price (e.g., "FLAWED_RUBY_GEM")
             const flawedName = `FLAWED_${gemstone.toUpperCase()}_GEM`;
-            const flawedPrice = await this.getItemPrice(flawedName);
+            const flawedPrice = (await this.getItemPrice(flawedName, this.priceSides.buy)).price;
             
             // Get fine gemstone price (e.g., "FINE_RUBY_GEM")
             const fineName = `FINE_${gemstone.toUpperCase()}_GEM`;
-            const finePrice = await this.getItemPrice(fineName);
+            const finePrice = (await this.getItemPrice(fineName, this.priceSides.buy)).price;
             
             // Get perfect gemstone price (e.g., "PERFECT_RUBY_GEM")
             const perfectName = `PERFECT_${gemstone.toUpperCase()}_GEM`;
-            const perfectPrice = await this.getItemPrice(perfectName);
+            const perfect = await this.getItemPrice(perfectName, this.priceSides.sell);
+            const perfectPrice = perfect.price;
             
             // Update data
             if (this.gemstoneData[gemstone]) {
                 this.gemstoneData[gemstone].flawedPrice = flawedPrice;
                 this.gemstoneData[gemstone].finePrice = finePrice;
                 this.gemstoneData[gemstone].perfectPrice = perfectPrice;
+                this.gemstoneData[gemstone].perfectSource = perfect.source;
                 this.gemstoneData[gemstone].flawedTotal = flawedPrice * this.flawedQuantity;
                 this.gemstoneData[gemstone].fineTotal = finePrice * this.fineQuantity;
                 
@@ -166,29 +234,31 @@ class CrystalCalculator {
         }
     }
 
-    async getItemPrice(itemName) {
+    // Price from the bazaar, or the auction house if it isn't on the bazaar.
+    // Returns { price, source } so selling fees can be charged for the right market, source is null without a price.
+    async getItemPrice(itemName, side) {
         try {
             // Try bazaar first
-            const bazaarPrice = await this.bazaarAPI.getItemPriceByName(itemName);
+            const bazaarPrice = await this.priceAPI.getItemPriceByName(itemName, side);
             if (bazaarPrice > 0) {
                 console.log(`Found ${itemName} in bazaar: ${bazaarPrice}`);
-                return bazaarPrice;
+                return { price: bazaarPrice, source: 'bazaar' };
             }
             
             // If not available in bazaar, try auction house
             console.log(`${itemName} not found in bazaar, trying auction house...`);
-            const auctionPrice = await this.coflnetAPI.getLowestBIN(itemName);
+            const auctionPrice = await this.priceAPI.getLowestBIN(itemName);
             if (auctionPrice > 0) {
                 console.log(`Found ${itemName} in auction house: ${auctionPrice}`);
-                return auctionPrice;
+                return { price: auctionPrice, source: 'auction' };
             }
             
             console.warn(`No price found for ${itemName}`);
-            return 0;
+            return { price: 0, source: null };
             
         } catch (error) {
             console.error(`Error getting price for ${itemName}:`, error);
-            return 0;
+            return { price: 0, source: null };
         }
     }
 
@@ -242,11 +312,16 @@ class CrystalCalculator {
                 data.useFlawed = useFlawed;
                 data.bestMethod = bestMethod;
                 data.bestCost = bestCost;
-                data.profit = bestCost > 0 ? data.perfectPrice - bestCost : 0;
+                // Profit before and after the costs of selling the perfect gemstone
+                data.grossProfit = bestCost > 0 ? data.perfectPrice - bestCost : 0;
+                data.fees = bestCost > 0 ? this.marketFees.sellFees(data.perfectSource, data.perfectPrice, 1).fees : 0;
+                data.profit = data.grossProfit - data.fees;
                 data.status = data.profit > 0 ? 'Profitable' : data.profit < 0 ? 'Unprofitable' : 'Break Even';
             } else {
                 data.bestMethod = 'No Data';
                 data.bestCost = 0;
+                data.grossProfit = 0;
+                data.fees = 0;
                 data.profit = 0;
                 data.status = 'No Perfect Price';
                 data.useFlawed = false;
@@ -276,6 +351,9 @@ class CrystalCalculator {
         // Create rows
         sortedData.forEach(data => {
             const row = document.createElement('tr');
+            if (this.updatedGemstones.has(data.name)) {
+                row.classList.add('price-updated');
+            }
             
             // Determine which price cell to highlight based on cost efficiency
             const flawedClass = data.useFlawed ? 'price-cell best-option' : 'price-cell';
@@ -291,6 +369,9 @@ class CrystalCalculator {
                 </td>
                 <td class="price-cell craft-cost">${data.bestCost > 0 ? this.formatNumber(data.bestCost) : 'N/A'}</td>
                 <td class="price-cell">${data.perfectPrice > 0 ? this.formatNumber(data.perfectPrice) : 'N/A'}</td>
+                <td class="trend-cell"><div class="price-trend" data-trend-gemstone="${data.name}"></div></td>
+                <td class="profit-cell ${data.grossProfit > 0 ? 'positive' : data.grossProfit < 0 ? 'negative' : ''}">${this.formatCoins(data.grossProfit)}</td>
+                <td class="price-cell">${data.fees > 0 ? this.formatNumber(Math.round(data.fees)) : 'N/A'}</td>
                 <td class="profit-cell ${data.profit > 0 ? 'positive' : data.profit < 0 ? 'negative' : ''}">${this.formatCoins(data.profit)}</td>
                 <td class="status-cell ${data.status === 'Profitable' ? 'status-profitable' : data.status === 'Unprofitable' ? 'status-unprofitable' : 'status-loading'}">${data.status}</td>
             `;
@@ -300,6 +381,27 @@ class CrystalCalculator {
         
         // Update global reference after table update
         window.crystalData = this.gemstoneData;
+        
+        this.loadTrends();
+    }
+
+    // Fill the trend column with each perfect gemstone's price history
+    async loadTrends() {
+        const containers = document.querySelectorAll('#gemstoneTableBody [data-trend-gemstone]');
+        
+        await Promise.allSettled(Array.from(containers).map(async container => {
+            const data = this.gemstoneData[container.dataset.trendGemstone];
+            const perfectName = `PERFECT_${data.name.toUpperCase()}_GEM`;
+            
+            try {
+                const history = await PriceTrend.load(this.priceAPI, perfectName);
+                // Auction points hold the lowest BIN as instantBuy, the price an auction-sourced perfect gemstone gets
+                const side = data.perfectSource === 'auction' ? 'instantBuy' : this.priceSides.sell;
+                container.innerHTML = PriceTrend.render(history, side, data.perfectPrice);
+            } catch (error) {
+                console.error(`Error loading price history for ${perfectName}:`, error);
+            }
+        }));
     }
 
     updateSummary() {
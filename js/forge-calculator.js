@@ -1,58 +1,181 @@
 // Forge Calculator
+// Prices and profits are computed in forge-worker.js (ForgeProfitEngine), this class only
+// sends it the page's settings and renders the sorted results it sends back.
 class ForgeCalculator {
     constructor() {
-        try {
-            // Use unified Price API - it provides both bazaar and auction data
-            this.priceAPI = window.globalPriceAPI || new PriceAPI();
-        } catch (error) {
-            console.error('Error initializing API:', error);
-        }
+        this.worker = new Worker('../js/forge-worker.js');
+        this.worker.onmessage = (event) => this.handleWorkerMessage(event.data);
+        this.worker.onerror = (event) => {
+            console.error('Forge worker error:', event.message);
+            this.showError('Failed to initialize calculator');
+        };
+        
+        // Id of the results on screen, trends for older results are dropped
+        this.resultsId = null;
+        
+        // Selling fees (MarketFees), read from the shared fee settings
+        this.marketFees = null;
+        
+        // Forge speed perks (ForgeTimeModifiers), read from the saved time settings
+        this.timeModifiers = null;
+        
+        // What the player has unlocked (ForgeProgression), read from the saved progression
+        this.progression = null;
+        
+        // Settings send waiting for the player to stop typing, see sendSettingsSoon()
+        this.settingsTimer = null;
+        
+        // Item name -> 'buy' or 'forge' where the player picked how a chain input is sourced
+        this.chainOverrides = {};
+        
+        // Recipes whose craft chain is expanded, kept open across re-renders
+        this.openChains = new Set();
+        
+        // Recipes ticked for the shopping list: name -> times forged, and the last list the worker sent
+        this.shoppingSelection = new Map();
+        this.shoppingList = null;
+        
+        // Recipe open in the detail view, and how its inputs are sourced and its output sold there
+        // (choices not set use the Buy Inputs At and Sell Outputs At settings)
+        this.detailRecipe = null;
+        this.detailChoices = { inputs: {}, output: null };
+        
+        // Watched recipes with their alert rules, and each rule's status at the last price update
+        this.watchlist = new ForgeWatchlist(ForgeWatchlist.loadRules());
+        this.watchStatuses = [];
         
-        this.recipes = [];
-        this.items = new Map();
-        this.priceCache = new Map();
-        this.lastPriceUpdate = null;
+        // Recipes in the player's forge slots, every recipe's listed forge time in hours, and the
+        // latest values of the recipes the watchlist and tracker follow
+        this.tracker = new ForgeTracker(ForgeTracker.loadEntries());
+        this.recipeHours = new Map();
+        this.watchValues = {};
+        
+        // Ticks the tracker's countdowns, only runs while something is forging (see displayTracker)
+        this.countdownTimer = null;
         
         this.initializeEventListeners();
-        this.initialize();
+        this.sendSettings();
+        this.sendWatchlist();
+        this.displayWatchRules();
+        this.displayTracker();
         
         window.forgeCalculator = this;
     }
     
-    async initialize() {
-        try {
-            // Initialize the API first (fetches all price data)
-            await this.priceAPI.initialize();
-            
-            // Enable auto-refresh for price data (handles both bazaar and auction)
-            this.priceAPI.startAutoRefresh(60000); // Every 60 seconds
-            
-            // Now load items and recipes
-            await this.loadItemsAndRecipes();
-        } catch (error) {
-            console.error('Error initializing calculator:', error);
-            this.showError('Failed to initialize calculator');
+    handleWorkerMessage(message) {
+        switch (message.type) {
+            case 'results':
+                this.resultsId = message.id;
+                document.getElementById('lastUpdatedDisplay').textContent = 
+                    new Date(message.lastUpdated).toLocaleTimeString();
+                document.getElementById('loading').style.display = 'none';
+                document.getElementById('recipesGrid').style.display = 'grid';
+                this.displayRecipes(message.recipes, new Set(message.updated));
+                // Prices may have moved, re-total the shopping list and the open recipe
+                this.requestShoppingList();
+                this.requestDetail();
+                break;
+            case 'trends':
+                if (message.id === this.resultsId) {
+                    this.displayTrends(message.trends);
+                }
+                break;
+            case 'requirementKeys':
+                this.displayRequirementKeys(message.keys, message.recorded, message.total);
+                break;
+            case 'recipeList': {
+                this.recipeHours = new Map(message.recipes.map(recipe => [recipe.name, recipe.baseHours]));
+                const options = message.recipes.map(recipe => `<option value="${recipe.name}">${recipe.name}</option>`).join('');
+                document.getElementById('watchRecipe').innerHTML = options;
+                document.getElementById('trackerRecipe').innerHTML = options;
+                break;
+            }
+            case 'watchValues':
+                this.watchValues = message.values;
+                this.checkWatchlist(message.values);
+                this.displayTracker();
+                break;
+            case 'snapshot':
+                this.downloadSnapshot(message.snapshot);
+                break;
+            case 'plan':
+                this.displayPlan(message.plan, message.error);
+                break;
+            case 'portfolio':
+                this.displayPortfolio(message.portfolio, message.error);
+                break;
+            case 'stockCoverage':
+                this.displayStockCoverage(message.coverage, message.error);
+                break;
+            case 'shoppingList':
+                this.displayShoppingList(message.list, message.error);
+                break;
+            case 'detail':
+                this.displayDetail(message.detail, message.error);
+                break;
+            case 'priceSource':
+                document.getElementById('priceSourceDisplay').textContent = message.label;
+                break;
+            case 'error':
+                this.showError(message.message);
+                break;
         }
     }
 
     initializeEventListeners() {
-        // Filter event listeners
-        document.getElementById('categoryFilter').addEventListener('change', () => {
-            this.filterAndSortRecipes();
+        // Every control change is sent to the worker, which sends back new results
+        ['categoryFilter', 'sortBy', 'sellLocationFilter', 'flaggedItems', 'lockedRecipes', 'maxPriceAge',
+            'buyPriceSide', 'sellPriceSide', 'auctionStrategy', 'forgeTimeMin', 'forgeTimeMax'].forEach(id => {
+            document.getElementById(id).addEventListener('change', () => {
+                this.sendSettings();
+            });
         });
         
-        document.getElementById('sortBy').addEventListener('change', () => {
-            this.filterAndSortRecipes();
+        // Fee settings are shared with the other calculators
+        this.marketFees = MarketFees.bindControls((fees) => {
+            this.marketFees = fees;
+            this.sendSettings();
         });
         
-        document.getElementById('sellLocationFilter').addEventListener('change', () => {
-            this.filterAndSortRecipes();
+        // Quick Forge and other forge time perks
+        this.timeModifiers = ForgeTimeModifiers.bindControls((modifiers) => {
+            this.timeModifiers = modifiers;
+            this.sendSettings();
+        });
+
+        // HotM tier, and the collections and quests ticked as unlocked
+        this.progression = ForgeProgression.bindControls((progression) => {
+            this.progression = progression;
+            this.sendSettings();
+        });
+        
+        document.getElementById('progressionUnlocks').addEventListener('change', (event) => {
+            this.progression = this.progression.withUnlocked(event.target.value, event.target.checked);
+            this.sendSettings();
         });
 
         document.getElementById('refreshPrices').addEventListener('click', () => {
             this.refreshPrices();
         });
         
+        // Offline price snapshots
+        const snapshotFile = document.getElementById('snapshotFile');
+        
+        document.getElementById('saveSnapshot').addEventListener('click', () => {
+            this.worker.postMessage({ type: 'exportSnapshot' });
+        });
+        
+        document.getElementById('loadSnapshot').addEventListener('click', () => {
+            snapshotFile.click();
+        });
+        
+        snapshotFile.addEventListener('change', () => {
+            if (snapshotFile.files.length > 0) {
+                this.loadSnapshot(snapshotFile.files[0]);
+                snapshotFile.value = '';
+            }
+        });
+        
         const resetButton = document.getElementById('resetFilters');
         if (resetButton) {
             resetButton.addEventListener('click', () => {
@@ -60,26 +183,450 @@ class ForgeCalculator {
             });
         }
         
+        // Craft chains: buy-or-forge choices and which chains are expanded
+        const grid = document.getElementById('recipesGrid');
+        grid.addEventListener('change', (event) => {
+            if (event.target.classList.contains('shopping-toggle')) {
+                this.toggleShoppingRecipe(event.target);
+            } else if (event.target.classList.contains('shopping-quantity')) {
+                this.setShoppingQuantity(event.target);
+            } else if (event.target.classList.contains('chain-choice')) {
+                if (event.target.value === 'auto') {
+                    delete this.chainOverrides[event.target.dataset.item];
+                } else {
+                    this.chainOverrides[event.target.dataset.item] = event.target.value;
+                }
+                this.sendSettings();
+            }
+        });
+        
+        // Clicking a card opens its detail view, unless the click was on one of the card's own controls
+        grid.addEventListener('click', (event) => {
+            const card = event.target.closest('.recipe-card');
+            if (card && !event.target.closest('input, label, select, button, details')) {
+                this.openDetail(card.dataset.recipe);
+            }
+        });
+        
+        // 'toggle' doesn't bubble, so it's caught on the way down
+        grid.addEventListener('toggle', (event) => {
+            if (event.target.classList.contains('chain-section')) {
+                if (event.target.open) {
+                    this.openChains.add(event.target.dataset.recipe);
+                } else {
+                    this.openChains.delete(event.target.dataset.recipe);
+                }
+            }
+        }, true);
+        
+        // Recipe detail view: sourcing of each input and how the output is sold
+        document.getElementById('detailSection').addEventListener('change', (event) => {
+            if (event.target.classList.contains('detail-input-choice')) {
+                this.detailChoices.inputs[event.target.dataset.item] = event.target.value;
+                this.requestDetail();
+            } else if (event.target.classList.contains('detail-output-choice')) {
+                this.detailChoices.output = event.target.value;
+                this.requestDetail();
+            }
+        });
+        
+        document.getElementById('closeDetail').addEventListener('click', () => {
+            this.detailRecipe = null;
+            document.getElementById('detailSection').classList.add('hidden');
+        });
+        
+        // Shopping list exports
+        document.getElementById('copyShoppingList').addEventListener('click', () => {
+            this.copyShoppingList();
+        });
+        
+        document.getElementById('downloadShoppingList').addEventListener('click', () => {
+            this.downloadShoppingList();
+        });
+        
+        document.getElementById('clearShoppingList').addEventListener('click', () => {
+            this.shoppingSelection.clear();
+            document.querySelectorAll('#recipesGrid .shopping-toggle').forEach(toggle => {
+                toggle.checked = false;
+                toggle.closest('.shopping-select').querySelector('.shopping-quantity').classList.add('hidden');
+            });
+            this.requestShoppingList();
+        });
+        
+        // Watchlist rules and the alerts they raise
+        document.getElementById('addWatch').addEventListener('click', () => {
+            this.addWatchRule();
+        });
+        
+        document.getElementById('watchRules').addEventListener('click', (event) => {
+            if (event.target.classList.contains('watch-remove')) {
+                this.watchlist.remove(parseInt(event.target.dataset.rule));
+                this.watchStatuses = this.watchStatuses.filter(status => status.rule.id !== parseInt(event.target.dataset.rule));
+                this.sendWatchlist();
+                this.displayWatchRules();
+            }
+        });
+        
+        document.getElementById('watchAlerts').addEventListener('click', (event) => {
+            if (event.target.classList.contains('watch-alert-dismiss')) {
+                event.target.closest('.watch-alert').remove();
+            }
+        });
+        
+        // Active forge tracker
+        document.getElementById('startForge').addEventListener('click', () => {
+            this.startTrackedForge();
+        });
+        
+        document.getElementById('trackerEntries').addEventListener('click', (event) => {
+            if (event.target.classList.contains('tracker-collect')) {
+                this.tracker.collect(parseInt(event.target.dataset.entry));
+                this.sendWatchlist();
+                this.displayTracker();
+            }
+        });
+        
+        document.getElementById('exportCalendar').addEventListener('click', () => {
+            this.downloadCalendar();
+        });
+        
+        // Forge planner
+        const scheduleMode = document.getElementById('plannerScheduleMode');
+        scheduleMode.addEventListener('change', () => {
+            document.getElementById('plannerIntervalGroup').classList.toggle('hidden', scheduleMode.value !== 'interval');
+            document.getElementById('plannerTimesGroup').classList.toggle('hidden', scheduleMode.value !== 'times');
+        });
+        
+        document.getElementById('planForge').addEventListener('click', () => {
+            this.requestPlan();
+        });
+        
+        // Portfolio optimizer
+        document.getElementById('optimizePortfolio').addEventListener('click', () => {
+            this.requestPortfolio();
+        });
+        
+        // Recipe and ingredient search, filtered once the player stops typing
+        document.getElementById('recipeSearch').addEventListener('input', () => {
+            this.sendSettingsSoon();
+        });
+        
+        // What the player's stock can forge
+        document.getElementById('findStockRecipes').addEventListener('click', () => {
+            this.requestStockCoverage();
+        });
+        
         // Input cost range filters (text inputs with format parsing)
-        const inputCostMinText = document.getElementById('inputCostMinText');
-        const inputCostMaxText = document.getElementById('inputCostMaxText');
+        document.getElementById('inputCostMinText').addEventListener('input', () => {
+            this.sendSettingsSoon();
+        });
         
-        inputCostMinText.addEventListener('input', () => {
-            this.filterAndSortRecipes();
+        document.getElementById('inputCostMaxText').addEventListener('input', () => {
+            this.sendSettingsSoon();
         });
+    }
+    
+    /**
+     * Send the settings once the player has stopped typing for SETTINGS_DELAY ms, every send makes
+     * the worker rank the recipes and read their price history again
+     */
+    sendSettingsSoon() {
+        clearTimeout(this.settingsTimer);
+        this.settingsTimer = setTimeout(() => this.sendSettings(), ForgeCalculator.SETTINGS_DELAY);
+    }
+    
+    /**
+     * Send the current controls to the worker (see ForgeProfitEngine.setPriceSettings and getResults)
+     */
+    sendSettings() {
+        // Anything typed before is included in this send
+        clearTimeout(this.settingsTimer);
+        this.settingsTimer = null;
+        
+        const inputCostMinValue = this.parseNumberInput(document.getElementById('inputCostMinText').value);
+        const inputCostMaxValue = this.parseNumberInput(document.getElementById('inputCostMaxText').value);
         
-        inputCostMaxText.addEventListener('input', () => {
-            this.filterAndSortRecipes();
+        this.worker.postMessage({
+            type: 'settings',
+            price: {
+                priceSides: {
+                    buy: document.getElementById('buyPriceSide').value,
+                    sell: document.getElementById('sellPriceSide').value
+                },
+                auctionStrategy: document.getElementById('auctionStrategy').value,
+                // The worker can't read the saved fee settings, localStorage is page-only
+                feeSettings: this.marketFees.settings,
+                maxPriceAge: parseInt(document.getElementById('maxPriceAge').value)
+            },
+            time: this.timeModifiers.settings,
+            chain: this.chainOverrides,
+            progression: this.progression.settings,
+            filters: {
+                search: document.getElementById('recipeSearch').value,
+                category: document.getElementById('categoryFilter').value,
+                sortBy: document.getElementById('sortBy').value,
+                sellLocation: document.getElementById('sellLocationFilter').value,
+                excludeFlagged: document.getElementById('flaggedItems').value === 'exclude',
+                lockedRecipes: document.getElementById('lockedRecipes').value,
+                inputCostMin: inputCostMinValue !== null ? inputCostMinValue : 0,
+                inputCostMax: inputCostMaxValue !== null ? inputCostMaxValue : Infinity,
+                forgeTimeMin: parseFloat(document.getElementById('forgeTimeMin').value) || 0,
+                forgeTimeMax: parseFloat(document.getElementById('forgeTimeMax').value) || 999999
+            }
         });
+    }
+    
+    /**
+     * Ask the worker to plan the next 24 hours from the planner controls
+     */
+    requestPlan() {
+        const slots = parseInt(document.getElementById('plannerSlots').value);
+        if (!(slots >= 1 && slots <= 7)) {
+            this.displayPlan(null, 'Enter your number of forge slots (1-7)');
+            return;
+        }
+        
+        let schedule;
+        if (document.getElementById('plannerScheduleMode').value === 'interval') {
+            const hours = parseFloat(document.getElementById('plannerInterval').value);
+            if (!(hours > 0)) {
+                this.displayPlan(null, 'Enter how many hours apart you check your forge');
+                return;
+            }
+            schedule = { mode: 'interval', hours };
+        } else {
+            const times = this.parseCheckInTimes(document.getElementById('plannerTimes').value);
+            if (!times) {
+                this.displayPlan(null, 'Enter the times you\'re online as HH:MM, separated by commas');
+                return;
+            }
+            schedule = { mode: 'times', times };
+        }
         
-        // Forge time range filters
-        document.getElementById('forgeTimeMin').addEventListener('change', () => {
-            this.filterAndSortRecipes();
+        document.getElementById('plannerResult').innerHTML = '<p class="planner-note">Planning...</p>';
+        this.worker.postMessage({
+            type: 'plan',
+            options: {
+                // The plan starts with the check-in happening right now
+                start: Date.now(),
+                slots,
+                schedule,
+                oneSlotPerRecipe: document.getElementById('plannerRepeat').value === 'once'
+            }
         });
+    }
+    
+    /**
+     * Parse check-in times like "08:00, 18:00, 23:30"
+     * @returns {number[]|null} Minutes after midnight, or null if any time is invalid
+     */
+    parseCheckInTimes(input) {
+        const parts = input.split(',').map(part => part.trim()).filter(part => part !== '');
+        if (parts.length === 0) {
+            return null;
+        }
+        
+        const times = [];
+        for (const part of parts) {
+            const match = part.match(/^(\d{1,2}):(\d{2})$/);
+            if (!match || parseInt(match[1]) > 23 || parseInt(match[2]) > 59) {
+                return null;
+            }
+            times.push(parseInt(match[1]) * 60 + parseInt(match[2]));
+        }
+        return times;
+    }
+    
+    /**
+     * Ask the worker for the best recipes for the budget in the portfolio controls
+     */
+    requestPortfolio() {
+        const capital = this.parseNumberInput(document.getElementById('portfolioCapital').value);
+        const slots = parseInt(document.getElementById('portfolioSlots').value);
+        const hours = parseFloat(document.getElementById('portfolioHours').value);
+        const capText = document.getElementById('portfolioAuctionCap').value;
+        const auctionCap = this.parseNumberInput(capText);
+        
+        if (!(capital > 0)) {
+            this.displayPortfolio(null, 'Enter the coins you have available, e.g. 300m');
+            return;
+        }
+        if (!(slots >= 1 && slots <= 7)) {
+            this.displayPortfolio(null, 'Enter your number of forge slots (1-7)');
+            return;
+        }
+        if (!(hours > 0)) {
+            this.displayPortfolio(null, 'Enter how many hours to plan for');
+            return;
+        }
+        if (capText.trim() !== '' && auctionCap === null) {
+            this.displayPortfolio(null, 'Enter the auction cap in coins, e.g. 50m, or leave it empty');
+            return;
+        }
         
-        document.getElementById('forgeTimeMax').addEventListener('change', () => {
-            this.filterAndSortRecipes();
+        document.getElementById('portfolioResult').innerHTML = '<p class="planner-note">Optimizing...</p>';
+        // An empty auction cap means auction recipes aren't capped
+        this.worker.postMessage({ type: 'portfolio', options: { capital, slots, hours, auctionCap } });
+    }
+    
+    /**
+     * @param {Object|null} portfolio - ForgePortfolio.optimize() result
+     * @param {string|null} error - Why no portfolio could be picked
+     */
+    displayPortfolio(portfolio, error) {
+        const container = document.getElementById('portfolioResult');
+        
+        if (error) {
+            container.innerHTML = `<p class="planner-note planner-error">${error}</p>`;
+            return;
+        }
+        
+        if (portfolio.entries.length === 0) {
+            container.innerHTML = '<p class="planner-note">No profitable recipe fits this budget and horizon with the current filters.</p>';
+            return;
+        }
+        
+        container.innerHTML = `
+            <p class="planner-summary">
+                ${this.formatCoins(portfolio.totalProfit)} expected profit from ${portfolio.slotsUsed} slot${portfolio.slotsUsed === 1 ? '' : 's'},
+                ${this.formatCoins(portfolio.capitalUsed)} to start them (${this.formatCoins(portfolio.invested)} in inputs over the horizon)
+            </p>
+            <table class="portfolio-table">
+                <thead>
+                    <tr>
+                        <th>Recipe</th>
+                        <th>Slots</th>
+                        <th>Crafts</th>
+                        <th>Capital</th>
+                        <th>Profit</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${portfolio.entries.map(entry => `
+                        <tr>
+                            <td>${entry.name}${entry.sellLocation === 'auction' ? ' <span class="valuation-note">auction</span>' : ''}</td>
+                            <td>${entry.slots}</td>
+                            <td>${entry.crafts}</td>
+                            <td title="${this.formatCoins(entry.invested)} in inputs over the horizon">${this.formatCoins(entry.capital)}</td>
+                            <td class="profit-positive">${this.formatCoins(entry.profit)}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+    }
+    
+    /**
+     * Items and quantities from the stock list, one per line: "64x Enchanted Tungsten", "64 Enchanted Tungsten",
+     * "Enchanted Tungsten x64", "Enchanted Tungsten: 64" or "Enchanted Tungsten 64". The x has to touch the
+     * number, so a name ending in X keeps it: "Jasper Drill X 1" is 1 Jasper Drill X
+     * @returns {Object} { items, invalid } with items { name, quantity } and invalid the lines that couldn't be read
+     */
+    parseStockList(text) {
+        const items = [];
+        const invalid = [];
+        
+        text.split('\n').map(line => line.trim()).filter(line => line !== '').forEach(line => {
+            const quantityFirst = line.match(/^(\d[\d,]*)(?:x\s*|\s+)(.+)$/i);
+            const quantityLast = line.match(/^(.+?)(?:\s*:\s*|\s+x|\s+)(\d[\d,]*)$/i);
+            if (!quantityFirst && !quantityLast) {
+                invalid.push(line);
+                return;
+            }
+            
+            const quantity = parseInt((quantityFirst ? quantityFirst[1] : quantityLast[2]).replace(/,/g, ''));
+            const name = (quantityFirst ? quantityFirst[2] : quantityLast[1]).trim();
+            if (quantity > 0 && name !== '') {
+                items.push({ name, quantity });
+            } else {
+                invalid.push(line);
+            }
         });
+        
+        return { items, invalid };
+    }
+    
+    requestStockCoverage() {
+        const { items, invalid } = this.parseStockList(document.getElementById('stockList').value);
+        
+        if (invalid.length > 0) {
+            this.displayStockCoverage(null, `Couldn't read ${invalid.map(line => `"${line}"`).join(', ')}, write each item with its quantity, e.g. 64x Enchanted Tungsten`);
+            return;
+        }
+        if (items.length === 0) {
+            this.displayStockCoverage(null, 'List the items you have, one per line');
+            return;
+        }
+        
+        this.worker.postMessage({ type: 'stock', stock: items });
+    }
+    
+    /**
+     * @param {Object|null} coverage - ForgeProfitEngine.getStockCoverage() result
+     * @param {string|null} error - Why the stock couldn't be checked
+     */
+    displayStockCoverage(coverage, error) {
+        const container = document.getElementById('stockResult');
+        
+        if (error) {
+            container.innerHTML = '<p class="planner-note planner-error"></p>';
+            container.firstChild.textContent = error;
+            return;
+        }
+        
+        // Item names come from the stock box as typed, so they're escaped before going into the table
+        const unused = coverage.unused.length > 0
+            ? `<p class="planner-note">Not used by any recipe: ${coverage.unused.map(name => this.escapeHTML(name)).join(', ')}</p>`
+            : '';
+        
+        if (coverage.recipes.length === 0) {
+            container.innerHTML = `<p class="planner-note">No recipe uses these items.</p>${unused}`;
+            return;
+        }
+        
+        container.innerHTML = `
+            <table class="stock-table">
+                <thead>
+                    <tr>
+                        <th>Recipe</th>
+                        <th>Covered</th>
+                        <th>Still Missing (per craft)</th>
+                        <th>Missing Cost</th>
+                        <th>Profit</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${coverage.recipes.map(recipe => {
+                        const missing = recipe.inputs.filter(input => input.missing > 0);
+                        const profitClass = recipe.profit > 0 ? 'profit-positive' : recipe.profit < 0 ? 'profit-negative' : 'profit-neutral';
+                        return `
+                            <tr class="${recipe.full ? 'stock-full' : ''}">
+                                <td>${this.escapeHTML(recipe.name)}</td>
+                                <td>${recipe.full ? `Fully, ${recipe.crafts}x` : `${Math.round(recipe.coveredShare * 100)}%`}</td>
+                                <td>${missing.length > 0
+                                    ? missing.map(input => input.source === 'coins' ? this.formatCoins(input.missing) : `${input.missing}x ${this.escapeHTML(input.name)}`).join(', ')
+                                    : '—'}</td>
+                                <td>${this.formatCoins(recipe.missingCost)}</td>
+                                <td class="${profitClass}">${this.formatCoins(recipe.profit)}</td>
+                            </tr>
+                        `;
+                    }).join('')}
+                </tbody>
+            </table>
+            ${unused}
+        `;
+    }
+    
+    /**
+     * Text made safe to put in innerHTML
+     */
+    escapeHTML(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
     }
     
     parseNumberInput(input) {
@@ -114,274 +661,42 @@ class ForgeCalculator {
         }
     }
 
-    async loadItemsAndRecipes() {
-        try {
-            // First load items.json to get item ID mappings
-            await this.loadItems();
-            // Then load recipes
-            await this.loadRecipes();
-        } catch (error) {
-            console.error('Error loading data:', error);
-            this.showError('Failed to load calculator data');
-        }
-    }
-
-    async loadItems() {
-        try {
-            const response = await fetch('../jsons/items.json');
-            
-            if (!response.ok) {
-                throw new Error(`HTTP ${response.status}: ${response.statusText}`);
-            }
-            
-            const data = await response.json();
-            
-            // Create a map of item names to their IDs
-            data.items.forEach(item => {
-                this.items.set(item.name, item.id);
-            });
-        } catch (error) {
-            console.error('Error loading items:', error);
-            throw new Error('Failed to load items database');
-        }
-    }
-
-    getItemId(itemName) {
-        const itemId = this.items.get(itemName);
-        return itemId || null;
-    }
-
-    async loadRecipes() {
-        try {
-            const response = await fetch('../jsons/forge-recipes.json');
-            const data = await response.json();
-            
-            this.recipes = data.recipes;
-            
-            await this.loadPrices();
-            this.filterAndSortRecipes();
-        } catch (error) {
-            console.error('Error loading recipes:', error);
-            this.showError('Failed to load forge recipes');
-        }
-    }
-
-    async loadPrices() {
-        document.getElementById('loading').style.display = 'block';
-        document.getElementById('recipesGrid').style.display = 'none';
+    /**
+     * Which statistic an auction item's value came from, e.g. "median of 34 sales over 2d"
+     * @param {Object} valuation - ForgeProfitEngine.getAuctionValuation() result
+     */
+    describeAuctionValue(valuation) {
+        const sales = valuation.sales === null ? 'unknown sales' : `${valuation.sales} sales`;
+        const span = valuation.window !== null ? ` over ${this.formatAge(valuation.window)}` : '';
         
-        try {
-            this.priceCache.clear();
-            
-            // Collect all items that need pricing
-            const itemsToFetch = new Map();
-            const failedItems = [];
-            
-            this.recipes.forEach(recipe => {
-                recipe.inputs.forEach(input => {
-                    if (input.source !== 'coins') {
-                        itemsToFetch.set(input.name, { source: input.source, isOutput: false });
-                    }
-                });
-                itemsToFetch.set(recipe.name, { source: recipe.sellLocation, isOutput: true });
-            });
-            
-            // Fetch prices
-            const pricePromises = Array.from(itemsToFetch).map(async ([itemName, {source, isOutput}]) => {
-                try {
-                    const price = await this.getItemPriceFromSource(itemName, source, isOutput);
-                    this.priceCache.set(itemName, price);
-                    
-                    // Log completion and track failures
-                    if (price === 0 && source !== 'coins') {
-                        console.error(`❌ ${itemName}`);
-                        failedItems.push({
-                            name: itemName,
-                            source: source,
-                            type: isOutput ? 'output' : 'input'
-                        });
-                    } else {
-                        console.log(`✓ ${itemName}: ${this.formatCoins(price)}`);
-                    }
-                } catch (error) {
-                    console.error(`❌ ${itemName}`);
-                    this.priceCache.set(itemName, 0);
-                    failedItems.push({
-                        name: itemName,
-                        source: source,
-                        type: isOutput ? 'output' : 'input'
-                    });
-                }
-            });
-            
-            await Promise.allSettled(pricePromises);
-            
-            // Display summary of failed items
-            if (failedItems.length > 0) {
-                console.group(`⚠️ Failed: ${failedItems.length} items`);
-                failedItems.forEach(item => {
-                    console.log(`  • ${item.name} [${item.type}] from ${item.source}`);
-                });
-                console.groupEnd();
-            } else {
-                console.log('✅ All items loaded');
-            }
-            
-            this.lastPriceUpdate = new Date();
-            document.getElementById('lastUpdatedDisplay').textContent = 
-                this.lastPriceUpdate.toLocaleTimeString();
-                
-        } catch (error) {
-            console.error('Error loading prices:', error);
-            this.showError('Failed to load market prices');
-        } finally {
-            document.getElementById('loading').style.display = 'none';
-            document.getElementById('recipesGrid').style.display = 'grid';
+        switch (valuation.strategy) {
+            case 'lbin':
+                return 'lowest BIN';
+            case 'median':
+                return `median of ${sales}${span}`;
+            case 'percentile':
+                return `${valuation.percentile}th percentile of ${sales}${span}`;
+            case 'volumeAware':
+                return valuation.thinMarket
+                    ? `thin market (${sales}), lower of lowest BIN and ${valuation.percentile}th percentile`
+                    : `median of ${sales}${span}`;
         }
     }
 
-    async getItemPriceFromSource(itemName, source, isOutput) {
-        if (source === 'coins') {
-            return 0;
-        }
-        
-        const itemId = this.getItemId(itemName);
-        if (!itemId) {
-            return 0;
+    renderMarketFlags(flags) {
+        if (flags.length === 0) {
+            return '';
         }
         
-        try {
-            // Use unified Price API - it handles both bazaar and auction
-            const price = await this.priceAPI.getPrice(itemId, source);
-            return price || 0;
-        } catch (error) {
-            return 0;
-        }
-    }
-
-    calculateRecipeProfit(recipe) {
-        let inputCost = 0;
-        const inputDetails = [];
-
-        recipe.inputs.forEach(input => {
-            let price = 0;
-            let totalCost = 0;
-            
-            if (input.source === 'coins') {
-                price = input.coinCost || 0;
-                totalCost = price * input.quantity;
-            } else {
-                price = this.priceCache.get(input.name) || 0;
-                totalCost = price * input.quantity;
-            }
-            
-            inputCost += totalCost;
-            inputDetails.push({
-                ...input,
-                unitPrice: price,
-                totalCost: totalCost
-            });
-        });
-
-        const outputPrice = this.priceCache.get(recipe.name) || 0;
-        const profit = outputPrice - inputCost;
-        
-        const days = recipe.time.days || 0;
-        const hours = recipe.time.hours || 0;
-        const minutes = recipe.time.minutes || 0;
-        const seconds = recipe.time.seconds || 0;
-        const totalHours = (days * 24) + hours + (minutes / 60) + (seconds / 3600);
-        const profitPerHour = totalHours > 0 ? profit / totalHours : 0;
-
-        return {
-            inputCost,
-            outputValue: outputPrice,
-            profit,
-            profitPerHour,
-            inputDetails,
-            totalTime: totalHours
-        };
+        const title = flags.map(flag => flag.message).join('\n');
+        return ` <span class="market-flag" title="Possible price manipulation:\n${title}">⚑</span>`;
     }
 
-    filterAndSortRecipes() {
-        const categoryFilter = document.getElementById('categoryFilter').value;
-        const sortBy = document.getElementById('sortBy').value;
-        const sellLocationFilter = document.getElementById('sellLocationFilter').value;
-        
-        const inputCostMinValue = this.parseNumberInput(document.getElementById('inputCostMinText').value);
-        const inputCostMaxValue = this.parseNumberInput(document.getElementById('inputCostMaxText').value);
-        const inputCostMin = inputCostMinValue !== null ? inputCostMinValue : 0;
-        const inputCostMax = inputCostMaxValue !== null ? inputCostMaxValue : Infinity;
-        const forgeTimeMin = parseFloat(document.getElementById('forgeTimeMin').value) || 0;
-        const forgeTimeMax = parseFloat(document.getElementById('forgeTimeMax').value) || 999999;
-        
-        let filteredRecipes = this.recipes;
-        
-        // Category filter
-        if (categoryFilter !== 'all') {
-            filteredRecipes = filteredRecipes.filter(recipe => recipe.category === categoryFilter);
-        }
-        
-        // Sell location filter
-        if (sellLocationFilter !== 'all') {
-            filteredRecipes = filteredRecipes.filter(recipe => recipe.sellLocation === sellLocationFilter);
-        }
-
-        const recipesWithData = filteredRecipes.map(recipe => {
-            const calculation = this.calculateRecipeProfit(recipe);
-            const hasMissingInput = calculation.inputDetails.some(inp => inp.source !== 'coins' && (!inp.unitPrice || inp.unitPrice === 0));
-            const hasMissingOutput = (!calculation.outputValue || calculation.outputValue === 0) && recipe.sellLocation && recipe.sellLocation !== 'coins';
-
-            return {
-                ...recipe,
-                calculation,
-                missingInputs: hasMissingInput || hasMissingOutput
-            };
-        });
-        
-        // Apply range filters
-        const rangeFiltered = recipesWithData.filter(recipe => {
-            const inputCost = recipe.calculation.inputCost;
-            const forgeTime = recipe.calculation.totalTime;
-            
-            if (inputCost < inputCostMin || inputCost > inputCostMax) return false;
-            if (forgeTime < forgeTimeMin || forgeTime > forgeTimeMax) return false;
-            
-            return true;
-        });
-
-        // Sort recipes
-        rangeFiltered.sort((a, b) => {
-            switch (sortBy) {
-                case 'profit-per-hour-desc':
-                    return b.calculation.profitPerHour - a.calculation.profitPerHour;
-                case 'profit-per-hour-asc':
-                    return a.calculation.profitPerHour - b.calculation.profitPerHour;
-                case 'profit-desc':
-                    return b.calculation.profit - a.calculation.profit;
-                case 'profit-asc':
-                    return a.calculation.profit - b.calculation.profit;
-                case 'time-asc':
-                    return a.calculation.totalTime - b.calculation.totalTime;
-                case 'time-desc':
-                    return b.calculation.totalTime - a.calculation.totalTime;
-                case 'name-asc':
-                    return a.name.localeCompare(b.name);
-                case 'category-asc':
-                    return a.category.localeCompare(b.category);
-                default:
-                    return b.calculation.profitPerHour - a.calculation.profitPerHour;
-            }
-        });
-        
-        const ready = rangeFiltered.filter(r => !r.missingInputs);
-        const incomplete = recipesWithData.filter(r => r.missingInputs);
-        const ordered = ready.concat(incomplete);
-
-        this.displayRecipes(ordered);
-    }
-
-    displayRecipes(recipes) {
+    /**
+     * @param {Object[]} recipes - Sorted results from the worker
+     * @param {Set<string>} updatedRecipes - Recipes whose prices changed in the last auto-refresh, highlighted
+     */
+    displayRecipes(recipes, updatedRecipes) {
         const grid = document.getElementById('recipesGrid');
         
         if (recipes.length === 0) {
@@ -392,25 +707,33 @@ class ForgeCalculator {
         grid.innerHTML = recipes.map(recipe => {
             const calc = recipe.calculation;
             const missingClass = recipe.missingInputs ? 'missing-inputs' : '';
+            const updatedClass = updatedRecipes.has(recipe.name) ? 'price-updated' : '';
+            const flaggedClass = calc.flagged ? 'market-flagged' : '';
+            const lockedClass = recipe.locked && document.getElementById('lockedRecipes').value === 'grey' ? 'recipe-locked' : '';
             const profitClass = calc.profit > 0 ? 'profit-positive' : calc.profit < 0 ? 'profit-negative' : 'profit-neutral';
+            const grossProfitClass = calc.grossProfit > 0 ? 'profit-positive' : calc.grossProfit < 0 ? 'profit-negative' : 'profit-neutral';
             const statusClass = calc.profit > 0 ? 'status-profitable' : calc.profit < 0 ? 'status-unprofitable' : 'status-break-even';
             
-            const days = recipe.time.days || 0;
-            const hours = recipe.time.hours || 0;
-            const minutes = recipe.time.minutes || 0;
-            const seconds = recipe.time.seconds || 0;
-            const timeText = this.formatDuration(days, hours, minutes, seconds);
+            const timeText = this.formatHours(calc.totalTime);
+            const shoppingQuantity = this.shoppingSelection.get(recipe.name);
+            const timeTitle = calc.totalTime !== calc.baseTime ? `Listed time ${this.formatHours(calc.baseTime)}, shortened by your forge time perks` : 'Forge time';
 
             return `
-                <div class="recipe-card ${statusClass} ${missingClass}">
+                <div class="recipe-card ${statusClass} ${missingClass} ${updatedClass} ${flaggedClass} ${lockedClass}" data-recipe="${recipe.name}" title="Click for the input breakdown and sourcing choices">
                     <div class="recipe-header">
                         <div class="recipe-name">${recipe.name}</div>
                         <div class="recipe-meta">
                             <span class="recipe-category">${recipe.category}</span>
-                            <span class="recipe-time">⏱️ ${timeText}</span>
+                            <span class="recipe-time" title="${timeTitle}">⏱️ ${timeText}</span>
+                        </div>
+                        <div class="shopping-select">
+                            <label><input type="checkbox" class="shopping-toggle" data-recipe="${recipe.name}" ${shoppingQuantity ? 'checked' : ''}> Shopping list</label>
+                            <input type="number" class="shopping-quantity ${shoppingQuantity ? '' : 'hidden'}" data-recipe="${recipe.name}" min="1" step="1" value="${shoppingQuantity || 1}" title="Times to forge">
                         </div>
                     </div>
                     
+                    ${this.renderRequirements(recipe)}
+                    
                     <div class="recipe-materials">
                         ${calc.inputDetails.map(input => `
                             <div class="material-item">
@@ -419,7 +742,7 @@ class ForgeCalculator {
                                     input.source === 'coins' 
                                         ? this.formatCoins(input.unitPrice)
                                         : `${this.formatCoins(input.unitPrice)} ea`
-                                }</span>
+                                }${input.sufficientDepth ? '' : ' <span class="depth-warning" title="Not enough bazaar depth to fill this quantity">⚠</span>'}${this.renderPriceAge(input.freshness)}${this.renderMarketFlags(input.marketFlags)}</span>
                             </div>
                         `).join('')}
                     </div>
@@ -431,25 +754,667 @@ class ForgeCalculator {
                         </div>
                         <div class="sell-row">
                             <span class="label">Sells:</span>
-                            <span class="value">${this.formatCoins(calc.outputValue)}</span>
+                            <span class="value">${this.formatCoins(calc.outputValue)}${calc.outputSufficientDepth ? '' : ' <span class="depth-warning" title="Not enough bazaar depth to fill this sale">⚠</span>'}${this.renderPriceAge(calc.outputFreshness)}${this.renderMarketFlags(calc.outputMarketFlags)}</span>
+                            ${calc.outputValuation ? `<span class="valuation-note">${this.describeAuctionValue(calc.outputValuation)}</span>` : ''}
+                        </div>
+                        <div class="fees-row">
+                            <span class="label">Fees:</span>
+                            <span class="value" title="Bazaar tax or auction listing, duration and claim fees">${this.formatCoins(calc.fees)}</span>
                         </div>
                     </div>
                     
+                    <div class="price-trend" data-trend-name="${recipe.name}"></div>
+                    
                     <div class="profit-section">
                         <div class="profit-item">
                             <span class="profit-label">Per Hour</span>
                             <span class="profit-amount ${profitClass}">${this.formatCoins(calc.profitPerHour)}</span>
                         </div>
                         <div class="profit-item">
-                            <span class="profit-label">Total</span>
+                            <span class="profit-label">Gross</span>
+                            <span class="profit-amount ${grossProfitClass}">${this.formatCoins(calc.grossProfit)}</span>
+                        </div>
+                        <div class="profit-item">
+                            <span class="profit-label">Net</span>
                             <span class="profit-amount ${profitClass}">${this.formatCoins(calc.profit)}</span>
                         </div>
                     </div>
+                    ${calc.chain ? this.renderChain(recipe.name, calc.chain) : ''}
                 </div>
             `;
         }).join('');
     }
 
+    /**
+     * What's missing to start a locked recipe, or a hint that its requirements aren't recorded
+     */
+    renderRequirements(recipe) {
+        if (recipe.locked) {
+            return `<div class="requirements-missing">🔒 Needs ${recipe.missingRequirements.join(', ')}</div>`;
+        }
+        
+        // Only worth pointing out once the player has set their progression
+        if (recipe.missingRequirements === null && this.progression.settings.hotm !== null) {
+            return '<div class="requirements-unknown">Unlock requirements not recorded for this recipe</div>';
+        }
+        
+        return '';
+    }
+    
+    /**
+     * Checkboxes for the collection and quest requirements the recipes use, and how much of the
+     * recipe list the progression can check
+     * @param {string[]} keys - ForgeProgression.requirementKey() keys
+     * @param {number} recorded - Recipes with their requirements recorded
+     * @param {number} total - Recipes
+     */
+    displayRequirementKeys(keys, recorded, total) {
+        const coverage = document.getElementById('progressionCoverage');
+        coverage.textContent = `Unlock requirements are recorded for ${recorded} of ${total} recipes. The others can't be checked against your progression: they're ranked as if unlocked and marked as not recorded.`;
+        coverage.classList.toggle('hidden', recorded === total);
+        
+        document.getElementById('progressionUnlocksGroup').classList.toggle('hidden', keys.length === 0);
+        document.getElementById('progressionUnlocks').innerHTML = keys.map(key => `
+            <label class="progression-unlock">
+                <input type="checkbox" value="${key}" ${this.progression.unlocked.has(key) ? 'checked' : ''}>
+                ${ForgeProgression.describeKey(key)}
+            </label>
+        `).join('');
+    }
+    
+    /**
+     * Open a recipe in the detail view, a different recipe starts from the page's price settings
+     */
+    openDetail(name) {
+        if (name !== this.detailRecipe) {
+            this.detailRecipe = name;
+            this.detailChoices = { inputs: {}, output: null };
+        }
+        
+        this.requestDetail();
+        const section = document.getElementById('detailSection');
+        section.classList.remove('hidden');
+        section.scrollIntoView({ behavior: 'smooth', block: 'start' });
+    }
+    
+    requestDetail() {
+        if (this.detailRecipe !== null) {
+            this.worker.postMessage({
+                type: 'detail',
+                name: this.detailRecipe,
+                choices: {
+                    ...this.detailChoices,
+                    // Choices the player hasn't made in the detail view follow Buy Inputs At and Sell Outputs At
+                    bazaarInput: document.getElementById('buyPriceSide').value,
+                    bazaarOutput: document.getElementById('sellPriceSide').value
+                }
+            });
+        }
+    }
+    
+    /**
+     * @param {Object|null} detail - ForgeProfitEngine.getRecipeDetail() result
+     * @param {string|null} error - Why the recipe couldn't be priced
+     */
+    displayDetail(detail, error) {
+        const errorEl = document.getElementById('detailError');
+        errorEl.classList.toggle('hidden', !error);
+        
+        // The error is shown in the view, the recipes stay as they are
+        if (error) {
+            errorEl.textContent = error;
+            document.getElementById('detailName').textContent = this.detailRecipe;
+            document.getElementById('detailInputs').innerHTML = '';
+            document.getElementById('detailInputCost').textContent = '';
+            document.getElementById('detailOutput').innerHTML = '';
+            document.getElementById('detailProfit').innerHTML = '';
+            return;
+        }
+        
+        // A detail that arrives after the view was closed or switched is outdated
+        if (detail.name !== this.detailRecipe) {
+            return;
+        }
+        
+        const depthWarning = (sufficient) => sufficient ? '' : ' <span class="depth-warning" title="Not enough bazaar depth to fill this quantity">⚠</span>';
+        const choiceSelect = (className, item, choices, selected) => choices.length > 1 ? `
+            <select class="${className}" ${item ? `data-item="${item}"` : ''}>
+                ${choices.map(choice => `<option value="${choice}" ${choice === selected ? 'selected' : ''}>${ForgeCalculator.CHOICE_LABELS[choice]}</option>`).join('')}
+            </select>` : this.formatSource(selected);
+        
+        document.getElementById('detailName').textContent = detail.name;
+        
+        document.getElementById('detailInputs').innerHTML = detail.inputs.map(input => `
+            <tr class="${input.choice === 'owned' ? 'detail-owned' : ''}">
+                <td>${input.name}</td>
+                <td>${input.source === 'coins' ? '—' : input.quantity.toLocaleString()}</td>
+                <td>${choiceSelect('detail-input-choice', input.name, input.choices, input.choice)}</td>
+                <td>${input.source === 'coins' ? '—' : `${this.formatCoins(input.unitPrice)}${depthWarning(input.sufficient)}`}</td>
+                <td>${input.unitPrice > 0 || input.choice === 'owned' ? this.formatCoins(input.totalCost) : '<span class="shopping-unpriced" title="No price available">?</span>'}</td>
+                <td>${(input.share * 100).toFixed(1)}%</td>
+            </tr>
+        `).join('');
+        document.getElementById('detailInputCost').textContent = this.formatCoins(detail.inputCost);
+        
+        const output = detail.output;
+        document.getElementById('detailOutput').innerHTML = `
+            <span class="detail-output-label">Sell at</span>
+            ${choiceSelect('detail-output-choice', null, output.choices, output.choice)}
+            <span>${this.formatCoins(output.unitPrice)}${depthWarning(output.sufficient)}</span>
+            <span class="detail-output-fees" title="Bazaar tax or auction listing, duration and claim fees">− ${this.formatCoins(output.fees)} fees</span>
+            <span>= ${this.formatCoins(output.net)}</span>
+        `;
+        
+        const profitClass = detail.profit > 0 ? 'profit-positive' : detail.profit < 0 ? 'profit-negative' : 'profit-neutral';
+        document.getElementById('detailProfit').innerHTML = `
+            <div class="profit-item">
+                <span class="profit-label">Per Hour</span>
+                <span class="profit-amount ${profitClass}">${this.formatCoins(detail.profitPerHour)}</span>
+            </div>
+            <div class="profit-item">
+                <span class="profit-label">Net</span>
+                <span class="profit-amount ${profitClass}">${this.formatCoins(detail.profit)}</span>
+            </div>
+            <div class="profit-item">
+                <span class="profit-label">Forge Time</span>
+                <span class="profit-amount">${this.formatHours(detail.totalTime)}</span>
+            </div>
+        `;
+    }
+    
+    addWatchRule() {
+        const recipe = document.getElementById('watchRecipe').value;
+        const threshold = this.parseNumberInput(document.getElementById('watchThreshold').value);
+        if (!recipe) {
+            this.showWatchNotice('Recipes are still loading');
+            return;
+        }
+        if (threshold === null) {
+            this.showWatchNotice('Enter a threshold in coins, e.g. 2m');
+            return;
+        }
+        
+        this.watchlist.add({
+            recipe,
+            metric: document.getElementById('watchMetric').value,
+            comparison: document.getElementById('watchComparison').value,
+            threshold
+        });
+        document.getElementById('watchThreshold').value = '';
+        this.showWatchNotice(null);
+        this.requestNotificationPermission();
+        
+        this.sendWatchlist();
+        this.displayWatchRules();
+    }
+    
+    /**
+     * Ask for notification permission, the click adding a rule is the user gesture browsers require
+     */
+    requestNotificationPermission() {
+        if (!('Notification' in window)) {
+            this.showWatchNotice('This browser doesn\'t support notifications, alerts only show on this page');
+            return;
+        }
+        
+        if (Notification.permission === 'default') {
+            Notification.requestPermission().then(permission => {
+                if (permission === 'denied') {
+                    this.showWatchNotice('Notifications are blocked, alerts only show on this page');
+                }
+            });
+        } else if (Notification.permission === 'denied') {
+            this.showWatchNotice('Notifications are blocked, alerts only show on this page');
+        }
+    }
+    
+    /**
+     * @param {string|null} message - Shown under the watchlist form, null hides it
+     */
+    showWatchNotice(message) {
+        const notice = document.getElementById('watchNotice');
+        notice.textContent = message || '';
+        notice.classList.toggle('hidden', message === null);
+    }
+    
+    /**
+     * Tell the worker which recipes the watchlist and tracker need values for
+     */
+    sendWatchlist() {
+        const names = new Set([...this.watchlist.recipeNames(), ...this.tracker.recipeNames()]);
+        this.worker.postMessage({ type: 'watch', names: Array.from(names) });
+    }
+    
+    /**
+     * @param {Object} values - ForgeProfitEngine.getWatchValues() result
+     */
+    checkWatchlist(values) {
+        const { statuses, triggered } = this.watchlist.evaluate(values);
+        this.watchStatuses = statuses;
+        this.displayWatchRules();
+        triggered.forEach(status => this.raiseWatchAlert(status));
+    }
+    
+    describeWatchRule(rule) {
+        return `${rule.recipe}: ${ForgeWatchlist.METRICS[rule.metric].toLowerCase()} ${rule.comparison} ${this.formatCoins(rule.threshold)}`;
+    }
+    
+    displayWatchRules() {
+        const list = document.getElementById('watchRules');
+        if (this.watchlist.rules.length === 0) {
+            list.innerHTML = '<li class="watch-empty">No rules yet.</li>';
+            return;
+        }
+        
+        list.innerHTML = this.watchlist.rules.map(rule => {
+            const status = this.watchStatuses.find(s => s.rule.id === rule.id);
+            let state;
+            if (!status) {
+                state = '<span class="watch-state">Waiting for prices</span>';
+            } else if (status.value === null) {
+                state = '<span class="watch-state">No price</span>';
+            } else {
+                state = `<span class="watch-state ${status.met ? 'watch-met' : ''}">Now ${this.formatCoins(status.value)}${status.met ? ' ✓' : ''}</span>`;
+            }
+            
+            return `
+                <li class="watch-rule">
+                    <span>${this.describeWatchRule(rule)}</span>
+                    ${state}
+                    <button class="watch-remove" data-rule="${rule.id}" title="Remove rule">✕</button>
+                </li>
+            `;
+        }).join('');
+    }
+    
+    /**
+     * In-page alert for a rule that just became true, plus a browser notification when allowed
+     */
+    raiseWatchAlert(status) {
+        const message = `${this.describeWatchRule(status.rule)} (now ${this.formatCoins(status.value)})`;
+        
+        const alert = document.createElement('div');
+        alert.className = 'watch-alert';
+        alert.innerHTML = `
+            <span class="watch-alert-time">${new Date().toLocaleTimeString()}</span>
+            <span class="watch-alert-message"></span>
+            <button class="watch-alert-dismiss" title="Dismiss">✕</button>
+        `;
+        alert.querySelector('.watch-alert-message').textContent = message;
+        document.getElementById('watchAlerts').prepend(alert);
+        
+        if ('Notification' in window && Notification.permission === 'granted') {
+            new Notification('Forge watchlist', { body: message });
+        }
+    }
+    
+    startTrackedForge() {
+        const recipe = document.getElementById('trackerRecipe').value;
+        const paid = this.parseNumberInput(document.getElementById('trackerPaid').value);
+        const startedInput = document.getElementById('trackerStarted').value;
+        // An empty start time means the recipe was just put in
+        const startedAt = startedInput ? new Date(startedInput).getTime() : Date.now();
+        
+        if (!recipe) {
+            this.showTrackerNotice('Recipes are still loading');
+            return;
+        }
+        if (paid === null) {
+            this.showTrackerNotice('Enter what the inputs cost you, e.g. 1.2m');
+            return;
+        }
+        
+        try {
+            this.tracker.start({
+                slot: parseInt(document.getElementById('trackerSlot').value),
+                recipe,
+                startedAt,
+                hours: this.timeModifiers.apply(this.recipeHours.get(recipe)),
+                paid
+            });
+        } catch (error) {
+            this.showTrackerNotice(error.message);
+            return;
+        }
+        
+        document.getElementById('trackerPaid').value = '';
+        document.getElementById('trackerStarted').value = '';
+        this.showTrackerNotice(null);
+        this.sendWatchlist();
+        this.displayTracker();
+    }
+    
+    /**
+     * @param {string|null} message - Shown under the tracker form, null hides it
+     */
+    showTrackerNotice(message) {
+        const notice = document.getElementById('trackerNotice');
+        notice.textContent = message || '';
+        notice.classList.toggle('hidden', message === null);
+    }
+    
+    displayTracker() {
+        const body = document.getElementById('trackerEntries');
+        if (this.tracker.entries.length === 0) {
+            clearInterval(this.countdownTimer);
+            this.countdownTimer = null;
+            body.innerHTML = '<tr><td colspan="8" class="tracker-empty">Nothing forging.</td></tr>';
+            return;
+        }
+        
+        // Countdowns tick between price updates
+        if (this.countdownTimer === null) {
+            this.countdownTimer = setInterval(() => this.updateCountdowns(), 1000);
+        }
+        
+        const now = Date.now();
+        body.innerHTML = this.tracker.entries.map(entry => {
+            const value = this.watchValues[entry.recipe];
+            const priced = value && value.priced;
+            const profit = priced ? value.saleNet - entry.paid : null;
+            const profitClass = profit > 0 ? 'profit-positive' : profit < 0 ? 'profit-negative' : 'profit-neutral';
+            
+            return `
+                <tr>
+                    <td>${entry.slot}</td>
+                    <td>${entry.recipe}</td>
+                    <td>${this.formatClock(entry.finishAt, now)}</td>
+                    <td class="tracker-countdown ${entry.finishAt <= now ? 'tracker-ready' : ''}" data-finish="${entry.finishAt}">${this.formatCountdown(entry.finishAt, now)}</td>
+                    <td>${this.formatCoins(entry.paid)}</td>
+                    <td title="What selling it now would bring in after fees">${priced ? this.formatCoins(value.saleNet) : '—'}</td>
+                    <td class="${priced ? profitClass : ''}">${priced ? this.formatCoins(profit) : '—'}</td>
+                    <td><button class="btn btn-secondary tracker-collect" data-entry="${entry.id}">Collected</button></td>
+                </tr>
+            `;
+        }).join('');
+    }
+    
+    formatCountdown(finishAt, now) {
+        return finishAt <= now ? 'Ready' : this.formatHours((finishAt - now) / 3600000);
+    }
+    
+    updateCountdowns() {
+        const now = Date.now();
+        document.querySelectorAll('#trackerEntries .tracker-countdown').forEach(cell => {
+            cell.textContent = this.formatCountdown(parseInt(cell.dataset.finish), now);
+            cell.classList.toggle('tracker-ready', parseInt(cell.dataset.finish) <= now);
+        });
+    }
+    
+    downloadCalendar() {
+        if (this.tracker.entries.length === 0) {
+            this.showTrackerNotice('Nothing forging to export');
+            return;
+        }
+        
+        const blob = new Blob([ForgeTracker.toICS(this.tracker.entries, Date.now())], { type: 'text/calendar' });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = 'forge-slots.ics';
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+    }
+    
+    toggleShoppingRecipe(toggle) {
+        const quantityInput = toggle.closest('.shopping-select').querySelector('.shopping-quantity');
+        
+        if (toggle.checked) {
+            // A ticked recipe is forged once until its quantity is changed
+            this.shoppingSelection.set(toggle.dataset.recipe, 1);
+            quantityInput.value = 1;
+        } else {
+            this.shoppingSelection.delete(toggle.dataset.recipe);
+        }
+        quantityInput.classList.toggle('hidden', !toggle.checked);
+        
+        this.requestShoppingList();
+    }
+    
+    setShoppingQuantity(input) {
+        const quantity = parseInt(input.value);
+        if (!(quantity >= 1)) {
+            input.value = this.shoppingSelection.get(input.dataset.recipe);
+            return;
+        }
+        
+        this.shoppingSelection.set(input.dataset.recipe, quantity);
+        this.requestShoppingList();
+    }
+    
+    requestShoppingList() {
+        if (this.shoppingSelection.size === 0) {
+            this.shoppingList = null;
+            document.getElementById('shoppingSection').classList.add('hidden');
+            return;
+        }
+        
+        const selection = Array.from(this.shoppingSelection, ([name, quantity]) => ({ name, quantity }));
+        this.worker.postMessage({ type: 'shoppingList', selection });
+    }
+    
+    /**
+     * @param {Object|null} list - ForgeProfitEngine.getShoppingList() result, null with an error
+     * @param {string|null} error - Why the list couldn't be totalled
+     */
+    displayShoppingList(list, error) {
+        // A list that arrives after the selection was cleared is outdated
+        if (this.shoppingSelection.size === 0) {
+            return;
+        }
+        
+        this.shoppingList = list;
+        document.getElementById('shoppingSection').classList.remove('hidden');
+        const recipesEl = document.getElementById('shoppingRecipes');
+        recipesEl.classList.toggle('planner-error', Boolean(error));
+        
+        if (error) {
+            recipesEl.textContent = error;
+            document.getElementById('shoppingItems').innerHTML = '';
+            document.getElementById('shoppingTotal').textContent = '';
+            return;
+        }
+        
+        recipesEl.textContent = `For ${list.recipes.map(recipe => `${recipe.quantity}x ${recipe.name}`).join(', ')}`;
+        
+        document.getElementById('shoppingItems').innerHTML = list.items.map(item => `
+            <tr>
+                <td>${item.name}</td>
+                <td>${this.formatSource(item.source)}</td>
+                <td>${item.source === 'coins' ? '—' : item.quantity.toLocaleString()}</td>
+                <td>${item.source === 'coins' ? '—' : `${this.formatCoins(item.unitPrice)}${item.sufficient ? '' : ' <span class="depth-warning" title="Not enough bazaar depth to fill this quantity">⚠</span>'}`}</td>
+                <td>${item.unitPrice > 0 ? this.formatCoins(item.totalCost) : '<span class="shopping-unpriced" title="No price available">?</span>'}</td>
+            </tr>
+        `).join('');
+        document.getElementById('shoppingTotal').textContent = this.formatCoins(list.total);
+    }
+    
+    formatSource(source) {
+        return ForgeCalculator.SOURCE_LABELS[source] || source;
+    }
+    
+    /**
+     * Shopping list as plain text for pasting into chat
+     */
+    copyShoppingList() {
+        const list = this.shoppingList;
+        if (!list) {
+            return;
+        }
+        const lines = [`Shopping list for ${list.recipes.map(recipe => `${recipe.quantity}x ${recipe.name}`).join(', ')}`];
+        list.items.forEach(item => {
+            lines.push(item.source === 'coins'
+                ? `${this.formatCoins(item.totalCost)} coins`
+                : `${item.quantity}x ${item.name} (${this.formatSource(item.source)}) @ ${this.formatCoins(item.unitPrice)} = ${this.formatCoins(item.totalCost)}`);
+        });
+        lines.push(`Total: ${this.formatCoins(list.total)}`);
+        
+        navigator.clipboard.writeText(lines.join('\n')).catch(error => {
+            console.error('Error copying shopping list:', error);
+        });
+    }
+    
+    /**
+     * Download the shopping list as CSV with exact coin amounts
+     */
+    downloadShoppingList() {
+        const list = this.shoppingList;
+        if (!list) {
+            return;
+        }
+        const field = (value) => `"${String(value).replace(/"/g, '""')}"`;
+        const rows = [['Item', 'Source', 'Quantity', 'Unit Price', 'Total Cost']];
+        list.items.forEach(item => {
+            rows.push([item.name, this.formatSource(item.source), item.quantity, Math.round(item.unitPrice), Math.round(item.totalCost)]);
+        });
+        rows.push(['Total', '', '', '', Math.round(list.total)]);
+        
+        const blob = new Blob([rows.map(row => row.map(field).join(',')).join('\n')], { type: 'text/csv' });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = 'forge-shopping-list.csv';
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+    }
+    
+    /**
+     * Expandable craft chain: cost, slot-hours and profit per hour with the forgeable inputs
+     * bought or forged, and a choice per input
+     */
+    renderChain(recipeName, chain) {
+        const profitClass = chain.profit > 0 ? 'profit-positive' : chain.profit < 0 ? 'profit-negative' : 'profit-neutral';
+        const open = this.openChains.has(recipeName) ? 'open' : '';
+        
+        return `
+            <details class="chain-section" data-recipe="${recipeName}" ${open}>
+                <summary title="Forging inputs yourself where that's cheaper, every forge step done in one slot">
+                    Craft chain: ${this.formatCoins(chain.cost)} cost · ⏱️ ${this.formatHours(chain.hours)} ·
+                    <span class="${profitClass}">${this.formatCoins(chain.profitPerHour)}/h</span>${chain.missing ? ' <span class="depth-warning" title="An input can be neither bought nor forged">⚠</span>' : ''}
+                </summary>
+                ${this.renderChainInputs(chain.inputs, 1)}
+            </details>
+        `;
+    }
+    
+    /**
+     * @param {number} multiplier - Units of the parent needed, input quantities are per parent unit
+     */
+    renderChainInputs(inputs, multiplier) {
+        return `
+            <ul class="chain-inputs">
+                ${inputs.map(input => {
+                    const quantity = input.quantity * multiplier;
+                    const choice = input.forged ? `
+                        <select class="chain-choice" data-item="${input.name}" title="Buy ${input.buyCost !== null ? this.formatCoins(input.buyCost * multiplier) : 'unavailable'}, forge ${input.forgeCost !== null ? this.formatCoins(input.forgeCost * multiplier) : 'unavailable'}">
+                            <option value="auto" ${this.chainOverrides[input.name] ? '' : 'selected'}>Cheapest</option>
+                            <option value="buy" ${this.chainOverrides[input.name] === 'buy' ? 'selected' : ''}>Buy</option>
+                            <option value="forge" ${this.chainOverrides[input.name] === 'forge' ? 'selected' : ''}>Forge</option>
+                        </select>` : '';
+                    return `
+                        <li>
+                            <span class="chain-input">${quantity}x ${input.name}</span>
+                            <span class="chain-mode chain-mode-${input.mode}">${input.mode}</span>
+                            <span class="chain-cost">${this.formatCoins(input.cost * multiplier)}</span>${input.missing ? ' <span class="depth-warning" title="No price and can\'t be forged">⚠</span>' : ''}
+                            ${choice}
+                            ${input.mode === 'forge' ? this.renderChainInputs(input.forged.inputs, quantity) : ''}
+                        </li>
+                    `;
+                }).join('')}
+            </ul>
+        `;
+    }
+
+    /**
+     * Fill each card's trend with the output item's price history
+     * @param {Object} trends - Recipe name -> PriceTrend markup
+     */
+    displayTrends(trends) {
+        document.querySelectorAll('#recipesGrid [data-trend-name]').forEach(container => {
+            const trend = trends[container.dataset.trendName];
+            if (trend) {
+                container.innerHTML = trend;
+            }
+        });
+    }
+
+    /**
+     * Per-slot timeline of a ForgePlanner plan, scaled to the 24 hours it covers
+     */
+    displayPlan(plan, error) {
+        const container = document.getElementById('plannerResult');
+        
+        if (error) {
+            container.innerHTML = `<p class="planner-note planner-error">${error}</p>`;
+            return;
+        }
+        
+        if (plan.totalProfit === 0) {
+            container.innerHTML = '<p class="planner-note">No profitable recipe fits this schedule with the current filters.</p>';
+            return;
+        }
+        
+        const span = plan.end - plan.start;
+        const percent = (time) => `${((Math.min(time, plan.end) - plan.start) / span * 100).toFixed(2)}%`;
+        
+        const axis = plan.checkIns.map(time => `
+            <span class="planner-tick" style="left: ${percent(time)}">${this.formatClock(time, plan.start)}</span>
+        `).join('');
+        
+        const slots = plan.slots.map((slot, index) => `
+            <div class="planner-slot">
+                <div class="planner-slot-header">
+                    <span class="planner-slot-name">Slot ${index + 1}</span>
+                    <span class="planner-slot-profit profit-positive">${this.formatCoins(slot.profit)}</span>
+                </div>
+                <div class="planner-track">
+                    ${slot.entries.map(entry => {
+                        const forging = (Math.min(entry.finish, plan.end) - entry.start) / (Math.min(entry.collect, plan.end) - entry.start) * 100;
+                        return `
+                            <div class="planner-entry" style="left: ${percent(entry.start)}; width: calc(${percent(entry.collect)} - ${percent(entry.start)})"
+                                title="${entry.name}\nStarts ${this.formatClock(entry.start, plan.start)}, done ${this.formatClock(entry.finish, plan.start)}, collected ${this.formatClock(entry.collect, plan.start)}">
+                                <div class="planner-forging" style="width: ${forging.toFixed(2)}%"></div>
+                                <span class="planner-entry-name">${entry.name}</span>
+                            </div>
+                        `;
+                    }).join('')}
+                </div>
+                <ol class="planner-entries">
+                    ${slot.entries.map(entry => `
+                        <li>
+                            <span class="planner-entry-time">${this.formatClock(entry.start, plan.start)} → ${this.formatClock(entry.collect, plan.start)}</span>
+                            ${entry.name}
+                            <span class="profit-positive">+${this.formatCoins(entry.profit)}</span>${entry.profit < entry.fullProfit ? `
+                            <span class="planner-note" title="Still forging when the day ends, only the share of its slot time inside the day is counted">(${this.formatCoins(entry.fullProfit)} total)</span>` : ''}
+                        </li>
+                    `).join('')}
+                </ol>
+            </div>
+        `).join('');
+        
+        container.innerHTML = `
+            <div class="planner-summary">
+                Expected profit over the next 24 hours: <span class="profit-positive">${this.formatCoins(plan.totalProfit)}</span>
+            </div>
+            <div class="planner-axis">${axis}</div>
+            ${slots}
+        `;
+    }
+    
+    /**
+     * Time of day, with the weekday when it's not on the plan's first day
+     */
+    formatClock(time, start) {
+        const sameDay = new Date(time).toDateString() === new Date(start).toDateString();
+        return new Date(time).toLocaleString([], sameDay
+            ? { hour: '2-digit', minute: '2-digit' }
+            : { weekday: 'short', hour: '2-digit', minute: '2-digit' });
+    }
+    
     formatCoins(amount) {
         if (Math.abs(amount) >= 1000000) {
             return `${(amount / 1000000).toFixed(1)}M`;
@@ -474,27 +1439,93 @@ class ForgeCalculator {
         return parts.join(' ');
     }
 
-    async refreshPrices() {
+    /**
+     * Duration label for a time in hours, to the second
+     */
+    formatHours(totalHours) {
+        const totalSeconds = Math.round(totalHours * 3600);
+        return this.formatDuration(
+            Math.floor(totalSeconds / 86400),
+            Math.floor(totalSeconds % 86400 / 3600),
+            Math.floor(totalSeconds % 3600 / 60),
+            totalSeconds % 60
+        );
+    }
+
+    /**
+     * Short age label, e.g. "45s", "12m", "3h", "2d"
+     */
+    formatAge(ms) {
+        const seconds = Math.floor(ms / 1000);
+        if (seconds < 60) return `${seconds}s`;
+        const minutes = Math.floor(seconds / 60);
+        if (minutes < 60) return `${minutes}m`;
+        const hours = Math.floor(minutes / 60);
+        if (hours < 24) return `${hours}h`;
+        return `${Math.floor(hours / 24)}d`;
+    }
+
+    renderPriceAge(freshness) {
+        if (!freshness) {
+            return '';
+        }
+        
+        const staleClass = freshness.stale ? ' price-stale' : '';
+        const title = freshness.stale ? 'Stale price, older than the selected maximum age' : 'Price age';
+        return ` <span class="price-age${staleClass}" title="${title}">${this.formatAge(freshness.age)}</span>`;
+    }
+
+    refreshPrices() {
+        document.getElementById('loading').style.display = 'block';
+        document.getElementById('recipesGrid').style.display = 'none';
+        
         // Force refresh prices (bypasses cache for both bazaar and auction)
-        await this.priceAPI.forceRefresh();
+        this.worker.postMessage({ type: 'refresh' });
+    }
+
+    /**
+     * Download the prices the worker currently has loaded as a snapshot file
+     */
+    downloadSnapshot(snapshot) {
+        const blob = new Blob([JSON.stringify(snapshot)], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `price-snapshot-${new Date(snapshot.createdAt).toISOString().replace(/[:.]/g, '-')}.json`;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+    }
+
+    /**
+     * Price everything from a snapshot file instead of the live APIs, see loadSnapshot() in forge-worker.js
+     */
+    loadSnapshot(file) {
+        document.getElementById('loading').style.display = 'block';
+        document.getElementById('recipesGrid').style.display = 'none';
         
-        this.priceCache.clear();
-        await this.loadPrices();
-        this.filterAndSortRecipes();
+        this.worker.postMessage({ type: 'loadSnapshot', file });
     }
 
     resetFilters() {
         // Reset all filter controls to their default values
+        document.getElementById('recipeSearch').value = '';
         document.getElementById('categoryFilter').value = 'all';
         document.getElementById('sortBy').value = 'profit-per-hour-desc';
         document.getElementById('sellLocationFilter').value = 'all';
+        document.getElementById('flaggedItems').value = 'include';
+        document.getElementById('lockedRecipes').value = 'grey';
+        document.getElementById('buyPriceSide').value = 'instantBuy';
+        document.getElementById('sellPriceSide').value = 'instantSell';
+        document.getElementById('auctionStrategy').value = 'volumeAware';
         document.getElementById('inputCostMinText').value = '';
         document.getElementById('inputCostMaxText').value = '';
         document.getElementById('forgeTimeMin').value = '0';
         document.getElementById('forgeTimeMax').value = '999999';
         
         // Re-filter and sort with default values
-        this.filterAndSortRecipes();
+        this.sendSettings();
     }
 
     showError(message) {
@@ -516,6 +1547,26 @@ class ForgeCalculator {
     }
 }
 
+// Ms of no typing in the search and cost filters before the results are updated
+ForgeCalculator.SETTINGS_DELAY = 300;
+
+// Display names of recipe input sources
+ForgeCalculator.SOURCE_LABELS = {
+    bazaar: 'Bazaar',
+    auction: 'Auction House',
+    coins: 'Coins'
+};
+
+// Sourcing and selling choices in the recipe detail view, see ForgeProfitEngine.INPUT_CHOICES and OUTPUT_CHOICES
+ForgeCalculator.CHOICE_LABELS = {
+    instantBuy: 'Instant Buy',
+    buyOrder: 'Buy Order',
+    buy: 'Buy',
+    owned: 'Already Owned',
+    instantSell: 'Instant Sell',
+    sellOffer: 'Sell Offer'
+};
+
 // Initialize when DOM is ready
 document.addEventListener('DOMContentLoaded', () => {
     window.forgeCalculator = new ForgeCalculator();
@@ -0,0 +1,182 @@
+/**
+ * Forge Planner
+ *
+ * Plans a day of forging around the times the player is online. A slot can only be
+ * collected and restarted at a check-in, so a recipe really occupies its slot from the
+ * check-in it starts at until the first check-in after it finishes. The planner picks,
+ * for every slot, the recipes that earn the most coins over the next 24 hours: long
+ * recipes end up in the gaps between sessions and short ones inside them.
+ *
+ * Recipes still running when the day ends count for the share of their slot time that
+ * falls inside it, so a 3-day recipe is worth a third of its profit per day.
+ *
+ * Usage:
+ * const planner = new ForgePlanner(recipes); // [{ name, profit, duration }]
+ * const plan = planner.plan({
+ *     start: Date.now(),
+ *     slots: 2,
+ *     schedule: { mode: 'interval', hours: 8 },
+ *     oneSlotPerRecipe: false
+ * });
+ */
+class ForgePlanner {
+    /**
+     * @param {Object[]} recipes - { name, profit, duration } with net profit in coins and duration in ms;
+     *                             recipes that don't make a profit or take no time are never planned
+     */
+    constructor(recipes) {
+        // Instant recipes don't hold a slot, so there's nothing to plan for them
+        this.recipes = recipes.filter(recipe => recipe.profit > 0 && recipe.duration > 0);
+    }
+
+    /**
+     * Absolute check-in times from start (the first check-in) until at least `until`
+     * @param {Object} schedule - { mode: 'interval', hours } or { mode: 'times', times } where times
+     *                            are minutes after midnight, local time
+     * @returns {number[]} Sorted timestamps in ms
+     */
+    static checkInTimes(schedule, start, until) {
+        const times = [start];
+
+        if (schedule.mode === 'interval') {
+            if (!(schedule.hours > 0)) {
+                throw new Error(`Invalid check-in interval: ${schedule.hours}h`);
+            }
+            const interval = schedule.hours * ForgePlanner.HOUR;
+            for (let time = start + interval; times[times.length - 1] < until; time += interval) {
+                times.push(time);
+            }
+            return times;
+        }
+
+        if (schedule.mode === 'times') {
+            if (schedule.times.length === 0) {
+                throw new Error('No check-in times');
+            }
+            const sorted = [...schedule.times].sort((a, b) => a - b);
+            const day = new Date(start);
+            day.setHours(0, 0, 0, 0);
+            while (times[times.length - 1] < until) {
+                sorted.forEach(minutes => {
+                    const time = new Date(day.getFullYear(), day.getMonth(), day.getDate(), 0, minutes).getTime();
+                    if (time > start) {
+                        times.push(time);
+                    }
+                });
+                day.setDate(day.getDate() + 1);
+            }
+            return times;
+        }
+
+        throw new Error(`Unknown check-in schedule: ${schedule.mode}`);
+    }
+
+    /**
+     * @param {Object} options
+     * @param {number} options.start - Timestamp of the first check-in (the plan starts then)
+     * @param {number} options.slots - Forge slots to plan
+     * @param {Object} options.schedule - Check-in schedule, see checkInTimes()
+     * @param {boolean} options.oneSlotPerRecipe - Never start the same recipe in two slots at one check-in
+     * @returns {Object} { start, end, checkIns, slots: [{ entries, profit }], totalProfit } where each entry is
+     *                   { name, start, finish, collect, profit, fullProfit } with profit the share counted for the day
+     */
+    plan(options) {
+        if (!Number.isInteger(options.slots) || options.slots < 1) {
+            throw new Error(`Invalid number of forge slots: ${options.slots}`);
+        }
+
+        const end = options.start + ForgePlanner.DAY;
+        const longest = Math.max(0, ...this.recipes.map(recipe => recipe.duration));
+        // Far enough past the end that every recipe started before it has a check-in to be collected at
+        const checkIns = ForgePlanner.checkInTimes(options.schedule, options.start, end + longest + ForgePlanner.DAY);
+
+        // Recipes started at each check-in by the slots planned so far
+        const started = checkIns.map(() => new Set());
+
+        const slots = [];
+        for (let slot = 0; slot < options.slots; slot++) {
+            const entries = this.planSlot(checkIns, end, options.oneSlotPerRecipe ? started : null);
+            entries.forEach(entry => started[entry.checkIn].add(entry.name));
+            slots.push({
+                entries: entries.map(({ checkIn, ...entry }) => entry),
+                profit: entries.reduce((sum, entry) => sum + entry.profit, 0)
+            });
+        }
+
+        return {
+            start: options.start,
+            end,
+            checkIns: checkIns.filter(time => time <= end),
+            slots,
+            totalProfit: slots.reduce((sum, slot) => sum + slot.profit, 0)
+        };
+    }
+
+    /**
+     * Best sequence of recipes for one slot, working back from the end of the day
+     * @param {Set<string>[]|null} excluded - Recipes that can't be started at each check-in
+     */
+    planSlot(checkIns, end, excluded) {
+        const last = checkIns.findIndex(time => time >= end);
+        // best[i] is the most a slot that's free at check-in i can still earn today
+        const best = new Array(checkIns.length).fill(0);
+        const choice = new Array(checkIns.length).fill(null);
+
+        for (let i = last - 1; i >= 0; i--) {
+            // Leaving the slot empty until the next check-in
+            best[i] = best[i + 1];
+
+            this.recipes.forEach(recipe => {
+                if (excluded && excluded[i].has(recipe.name)) {
+                    return;
+                }
+
+                const finish = checkIns[i] + recipe.duration;
+                const collect = checkIns.findIndex(time => time >= finish);
+                const counted = checkIns[collect] <= end
+                    ? recipe.profit
+                    : recipe.profit * (end - checkIns[i]) / (checkIns[collect] - checkIns[i]);
+                const value = counted + (checkIns[collect] <= end ? best[collect] : 0);
+
+                if (value > best[i]) {
+                    best[i] = value;
+                    choice[i] = { recipe, collect, counted };
+                }
+            });
+        }
+
+        const entries = [];
+        for (let i = 0; i < last; ) {
+            if (!choice[i]) {
+                i++;
+                continue;
+            }
+
+            const { recipe, collect, counted } = choice[i];
+            entries.push({
+                name: recipe.name,
+                checkIn: i,
+                start: checkIns[i],
+                finish: checkIns[i] + recipe.duration,
+                collect: checkIns[collect],
+                profit: counted,
+                fullProfit: recipe.profit
+            });
+            i = collect;
+        }
+
+        return entries;
+    }
+}
+
+ForgePlanner.HOUR = 60 * 60 * 1000;
+ForgePlanner.DAY = 24 * ForgePlanner.HOUR;
+
+// Make it globally available (the page's window, or the worker's global scope)
+if (typeof self !== 'undefined') {
+    self.ForgePlanner = ForgePlanner;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ForgePlanner;
+}
@@ -0,0 +1,159 @@
+/**
+ * Forge Portfolio
+ *
+ * Picks which recipes to put in the player's slots, and how many slots each gets, to make the
+ * most profit over a time horizon with the coins they have. A slot repeats its recipe for as
+ * many crafts as finish within the horizon; crafts still running at the end aren't counted.
+ *
+ * Capital is what it takes to start every slot at once: one craft's inputs per slot. Later
+ * crafts in a slot are paid from selling the one before. Auction outputs sell slowly, so the
+ * coins put into any one auction recipe over the whole horizon can be capped.
+ *
+ * Capital is split into CAPITAL_STEPS steps for the optimization, with input costs rounded up
+ * to whole steps, so a portfolio never needs more than the capital.
+ *
+ * Usage:
+ * const portfolio = new ForgePortfolio(recipes); // [{ name, profit, duration, cost, sellLocation }]
+ * const result = portfolio.optimize({ capital: 300000000, slots: 5, hours: 24, auctionCap: null });
+ */
+class ForgePortfolio {
+    /**
+     * @param {Object[]} recipes - { name, profit, duration, cost, sellLocation } with net profit and input cost
+     *                             in coins and duration in ms; recipes that don't make a profit are never picked
+     */
+    constructor(recipes) {
+        this.recipes = recipes.filter(recipe => recipe.profit > 0 && recipe.duration > 0);
+    }
+
+    /**
+     * @param {Object} options
+     * @param {number} options.capital - Coins available for inputs
+     * @param {number} options.slots - Forge slots
+     * @param {number} options.hours - Time horizon
+     * @param {number|null} options.auctionCap - Most coins to put into any one auction-sold recipe over the
+     *                                           horizon, null for no cap
+     * @returns {Object} { entries, capitalUsed, invested, totalProfit, slotsUsed } where entries are
+     *                   { name, sellLocation, slots, crafts, capital, invested, profit }, capital the coins
+     *                   to start its slots and invested the inputs of every craft
+     */
+    optimize(options) {
+        if (!Number.isInteger(options.slots) || options.slots < 1) {
+            throw new Error(`Invalid number of forge slots: ${options.slots}`);
+        }
+        if (!(options.capital > 0)) {
+            throw new Error(`Invalid capital: ${options.capital}`);
+        }
+        if (!(options.hours > 0)) {
+            throw new Error(`Invalid time horizon: ${options.hours}h`);
+        }
+        if (options.auctionCap !== null && !(options.auctionCap >= 0)) {
+            throw new Error(`Invalid auction cap: ${options.auctionCap}`);
+        }
+
+        const steps = ForgePortfolio.CAPITAL_STEPS;
+        const stepSize = options.capital / steps;
+        const horizon = options.hours * ForgePortfolio.HOUR;
+
+        const candidates = this.recipes
+            .map(recipe => {
+                const crafts = Math.floor(horizon / recipe.duration);
+                // Slots this recipe can take before its auction output goes over the cap
+                const capped = recipe.sellLocation === 'auction' && options.auctionCap !== null
+                    ? (recipe.cost > 0 ? Math.floor(options.auctionCap / (recipe.cost * crafts)) : options.slots)
+                    : options.slots;
+                return {
+                    recipe,
+                    crafts,
+                    steps: Math.ceil(recipe.cost / stepSize),
+                    maxSlots: Math.min(options.slots, capped),
+                    slotProfit: recipe.profit * crafts
+                };
+            })
+            .filter(candidate => candidate.crafts > 0 && candidate.maxSlots > 0 && candidate.steps <= steps);
+
+        // best[k][b]: most profit from k slots costing b capital steps, with the recipes seen so far
+        const best = Array.from({ length: options.slots + 1 }, () => new Array(steps + 1).fill(-Infinity));
+        best[0][0] = 0;
+        // picks[i][k][b]: slots given to candidate i in the best way to reach (k, b) after it
+        const picks = [];
+
+        candidates.forEach(candidate => {
+            const next = best.map(row => [...row]);
+            const pick = best.map(row => new Array(row.length).fill(0));
+
+            for (let k = 0; k <= options.slots; k++) {
+                for (let b = 0; b <= steps; b++) {
+                    if (best[k][b] === -Infinity) {
+                        continue;
+                    }
+                    for (let m = 1; m <= candidate.maxSlots && k + m <= options.slots; m++) {
+                        const cost = b + m * candidate.steps;
+                        if (cost > steps) {
+                            break;
+                        }
+                        const value = best[k][b] + m * candidate.slotProfit;
+                        if (value > next[k + m][cost]) {
+                            next[k + m][cost] = value;
+                            pick[k + m][cost] = m;
+                        }
+                    }
+                }
+            }
+
+            best.splice(0, best.length, ...next);
+            picks.push(pick);
+        });
+
+        // Best end state, then walk the picks back to the recipes
+        let end = { k: 0, b: 0, value: 0 };
+        best.forEach((row, k) => row.forEach((value, b) => {
+            if (value > end.value) {
+                end = { k, b, value };
+            }
+        }));
+
+        const entries = [];
+        let slotsLeft = end.k;
+        let stepsLeft = end.b;
+        for (let i = candidates.length - 1; i >= 0; i--) {
+            const m = picks[i][slotsLeft][stepsLeft];
+            if (m > 0) {
+                const { recipe, crafts } = candidates[i];
+                entries.push({
+                    name: recipe.name,
+                    sellLocation: recipe.sellLocation,
+                    slots: m,
+                    crafts: m * crafts,
+                    capital: m * recipe.cost,
+                    invested: m * crafts * recipe.cost,
+                    profit: m * crafts * recipe.profit
+                });
+                slotsLeft -= m;
+                stepsLeft -= m * candidates[i].steps;
+            }
+        }
+
+        entries.sort((a, b) => b.profit - a.profit);
+        return {
+            entries,
+            capitalUsed: entries.reduce((sum, entry) => sum + entry.capital, 0),
+            invested: entries.reduce((sum, entry) => sum + entry.invested, 0),
+            totalProfit: entries.reduce((sum, entry) => sum + entry.profit, 0),
+            slotsUsed: entries.reduce((sum, entry) => sum + entry.slots, 0)
+        };
+    }
+}
+
+ForgePortfolio.HOUR = 60 * 60 * 1000;
+
+// Resolution of the capital in the optimization, a portfolio can leave up to slots / CAPITAL_STEPS of it unused
+ForgePortfolio.CAPITAL_STEPS = 2000;
+
+// Make it globally available (the page's window, or the worker's global scope)
+if (typeof self !== 'undefined') {
+    self.ForgePortfolio = ForgePortfolio;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ForgePortfolio;
+}
@@ -0,0 +1,890 @@
+/**
+ * Forge Profit Engine
+ *
+ * Everything behind the forge calculator that doesn't touch the page: loading the recipes,
+ * pricing their inputs and outputs through PriceAPI, the profit math, filtering and sorting.
+ * It runs inside forge-worker.js so refreshes and filtering never block the page;
+ * ForgeCalculator only sends settings and renders the sorted results it gets back.
+ *
+ * Usage:
+ * const engine = new ForgeProfitEngine(priceAPI);
+ * engine.setPriceSettings(settings);
+ * await engine.loadItemsAndRecipes('../jsons/forge-recipes.json');
+ * await engine.loadPrices();
+ * const recipes = engine.getResults(filters);
+ */
+class ForgeProfitEngine {
+    /**
+     * @param {PriceAPI} priceAPI - Price source, owned by the worker
+     */
+    constructor(priceAPI) {
+        this.priceAPI = priceAPI;
+        this.itemRegistry = priceAPI.itemRegistry;
+        this.recipes = [];
+        this.priceCache = new Map();
+        this.lastPriceUpdate = null;
+
+        // Market manipulation warnings for bazaar items, by item name
+        this.marketFlags = new Map();
+
+        // Price history per output item for the trend sparklines, reloaded at most once a minute
+        this.trendCache = new Map();
+
+        // Price settings, all set by setPriceSettings() before anything is priced
+        this.priceSides = { buy: null, sell: null };
+        this.auctionStrategy = null;
+        this.marketFees = null;
+
+        // Forge speed perks (ForgeTimeModifiers), set by setTimeSettings()
+        this.timeModifiers = null;
+
+        // Craft-vs-buy resolution of forgeable inputs, built once the recipes load
+        this.recipeGraph = null;
+
+        // Item name -> 'buy' or 'forge' where the player overrode the cheaper choice
+        this.chainOverrides = {};
+
+        // What the player has unlocked (ForgeProgression), set by setProgression()
+        this.progression = null;
+    }
+
+    /**
+     * Apply the page's price settings
+     * @param {Object} settings
+     * @param {Object} settings.priceSides - Bazaar sides for inputs and outputs: { buy, sell }
+     * @param {string} settings.auctionStrategy - One of PriceAPI.AUCTION_STRATEGIES
+     * @param {Object} settings.feeSettings - MarketFees settings
+     * @param {number} settings.maxPriceAge - Minutes after which a price is marked stale
+     */
+    setPriceSettings(settings) {
+        this.priceSides = { ...settings.priceSides };
+        this.marketFees = new MarketFees(settings.feeSettings);
+        this.priceAPI.maxCacheAge = settings.maxPriceAge * 60 * 1000;
+
+        // The quotes are already loaded, so only the cached values change
+        if (settings.auctionStrategy !== this.auctionStrategy) {
+            this.auctionStrategy = settings.auctionStrategy;
+            this.revalueAuctionItems();
+        }
+    }
+
+    /**
+     * Apply the page's forge time perks
+     * @param {Object} settings - ForgeTimeModifiers settings
+     */
+    setTimeSettings(settings) {
+        this.timeModifiers = new ForgeTimeModifiers(settings);
+    }
+
+    /**
+     * @param {Object} overrides - Item name -> 'buy' or 'forge', see ForgeRecipeGraph.resolve()
+     */
+    setChainOverrides(overrides) {
+        this.chainOverrides = { ...overrides };
+    }
+
+    /**
+     * @param {Object} settings - ForgeProgression settings
+     */
+    setProgression(settings) {
+        this.progression = new ForgeProgression(settings);
+    }
+
+    /**
+     * @returns {string[]|null} What the player still needs for a recipe, see ForgeProgression.missingRequirements()
+     */
+    getMissingRequirements(recipe) {
+        return this.progression.missingRequirements(recipe.requirements);
+    }
+
+    isLocked(recipe) {
+        const missing = this.getMissingRequirements(recipe);
+        return missing !== null && missing.length > 0;
+    }
+
+    async loadItemsAndRecipes(recipesURL) {
+        await this.itemRegistry.load();
+
+        const response = await fetch(recipesURL);
+        if (!response.ok) {
+            throw new Error(`Failed to load forge recipes: HTTP ${response.status}`);
+        }
+
+        const data = await response.json();
+        this.recipes = data.recipes;
+        this.recipeGraph = new ForgeRecipeGraph(this.recipes, {
+            buyPrice: (input, quantity) => this.getEffectivePrice(input.name, input.source, quantity, this.priceSides.buy).unitPrice,
+            forgeHours: (recipe) => this.timeModifiers.apply(this.getBaseHours(recipe))
+        });
+    }
+
+    getItemId(itemName) {
+        return this.itemRegistry.getTag(itemName);
+    }
+
+    /**
+     * Price every recipe input and output
+     */
+    async loadPrices() {
+        this.priceCache.clear();
+        this.marketFlags.clear();
+
+        // Collect all items that need pricing
+        const itemsToFetch = new Map();
+        const failedItems = [];
+
+        this.recipes.forEach(recipe => {
+            recipe.inputs.forEach(input => {
+                if (input.source !== 'coins') {
+                    itemsToFetch.set(input.name, { source: input.source, isOutput: false });
+                }
+            });
+            itemsToFetch.set(recipe.name, { source: recipe.sellLocation, isOutput: true });
+        });
+
+        // Fetch prices
+        const pricePromises = Array.from(itemsToFetch).map(async ([itemName, {source, isOutput}]) => {
+            try {
+                const price = await this.getItemPriceFromSource(itemName, source, isOutput);
+
+                // Bazaar prices depend on the selected side, so they're read from the quote at calculation time
+                if (source !== 'bazaar') {
+                    this.priceCache.set(itemName, price);
+                } else {
+                    await this.loadMarketFlags(itemName);
+                }
+
+                // Track failures
+                if (price === 0 && source !== 'coins') {
+                    failedItems.push({
+                        name: itemName,
+                        source: source,
+                        type: isOutput ? 'output' : 'input'
+                    });
+                }
+            } catch (error) {
+                console.error(`Failed to price ${itemName}:`, error);
+                this.priceCache.set(itemName, 0);
+                failedItems.push({
+                    name: itemName,
+                    source: source,
+                    type: isOutput ? 'output' : 'input'
+                });
+            }
+        });
+
+        await Promise.allSettled(pricePromises);
+
+        // One line for the items without a price, this runs on every load and auto-refresh
+        if (failedItems.length > 0) {
+            console.warn(`No price for ${failedItems.length} items:`, failedItems.map(item => `${item.name} [${item.type}] from ${item.source}`).join(', '));
+        }
+
+        this.lastPriceUpdate = Date.now();
+    }
+
+    /**
+     * Re-price after an auto-refresh
+     * @param {Object} update - PriceAPI 'update' event payload
+     * @returns {Promise<string[]>} Names of the recipes whose input or output prices moved
+     */
+    async handlePriceUpdate(update) {
+        const changes = new Map(update.changes.map(change => [change.tag, change]));
+
+        // Auction prices are cached by name, bazaar prices are read from the quotes at calculation time
+        this.priceCache.forEach((price, itemName) => {
+            const change = changes.get(this.getItemId(itemName));
+            if (change && change.source === 'auction') {
+                this.priceCache.set(itemName, this.getAuctionItemValue(itemName));
+            }
+        });
+
+        // Spreads, volumes and jumps move with the price
+        const flaggedNames = Array.from(this.marketFlags.keys()).filter(itemName => {
+            const change = changes.get(this.getItemId(itemName));
+            return change && change.source === 'bazaar';
+        });
+        await Promise.allSettled(flaggedNames.map(itemName => this.loadMarketFlags(itemName)));
+
+        const isChanged = (itemName) => changes.has(this.getItemId(itemName));
+        const affected = this.recipes.filter(recipe =>
+            isChanged(recipe.name) ||
+            recipe.inputs.some(input => input.source !== 'coins' && isChanged(input.name))
+        );
+
+        if (affected.length > 0) {
+            this.lastPriceUpdate = update.timestamp;
+        }
+
+        return affected.map(recipe => recipe.name);
+    }
+
+    async getItemPriceFromSource(itemName, source, isOutput) {
+        if (source === 'coins') {
+            return 0;
+        }
+
+        const itemId = this.getItemId(itemName);
+        if (!itemId) {
+            return 0;
+        }
+
+        try {
+            if (source === 'bazaar') {
+                const side = isOutput ? this.priceSides.sell : this.priceSides.buy;
+                return this.priceAPI.getBazaarPrice(itemId, side);
+            }
+
+            return await this.priceAPI.getAuctionValue(itemId, this.auctionStrategy);
+        } catch (error) {
+            return 0;
+        }
+    }
+
+    /**
+     * Value of an already priced auction item at the selected strategy
+     * @returns {number} Price in coins, 0 if the item has no quote or the quote lacks the statistic
+     */
+    getAuctionItemValue(itemName) {
+        const itemId = this.getItemId(itemName);
+        const quote = itemId ? this.priceAPI.getCachedAuctionQuote(itemId) : null;
+        return quote ? this.priceAPI.valueAuction(quote, this.auctionStrategy) || 0 : 0;
+    }
+
+    /**
+     * Re-value every cached auction item at the selected strategy
+     */
+    revalueAuctionItems() {
+        const needsSales = PriceAPI.SALES_STRATEGIES.includes(this.auctionStrategy);
+        this.priceCache.forEach((price, itemName) => {
+            this.priceCache.set(itemName, this.getAuctionItemValue(itemName));
+            
+            // Quotes fetched without recent sales get them now, the 'update' event re-values those items
+            const itemId = this.getItemId(itemName);
+            const quote = itemId ? this.priceAPI.getCachedAuctionQuote(itemId) : null;
+            if (needsSales && quote && quote.sales === null) {
+                this.priceAPI.loadAuctionSales(itemId);
+            }
+        });
+    }
+
+    /**
+     * Which statistic an auction item's value came from
+     * @returns {Object|null} { strategy, sales, window, thinMarket, percentile } where sales is null if unknown
+     *                        and window is the time span in ms the sales cover, or null for items without a quote
+     */
+    getAuctionValuation(itemName) {
+        const itemId = this.getItemId(itemName);
+        const quote = itemId ? this.priceAPI.getCachedAuctionQuote(itemId) : null;
+        if (!quote) {
+            return null;
+        }
+
+        return {
+            strategy: this.auctionStrategy,
+            sales: quote.sales,
+            window: quote.window ? quote.window.to - quote.window.from : null,
+            // 'volumeAware' doesn't trust the median below this many sales
+            thinMarket: quote.sales === null || quote.sales < PriceAPI.AUCTION_MIN_SALES,
+            percentile: PriceAPI.AUCTION_PERCENTILE
+        };
+    }
+
+    /**
+     * Check a bazaar item for manipulation warnings (see PriceAPI.getMarketFlags)
+     */
+    async loadMarketFlags(itemName) {
+        const itemId = this.getItemId(itemName);
+
+        try {
+            this.marketFlags.set(itemName, itemId ? await this.priceAPI.getMarketFlags(itemId) : []);
+        } catch (error) {
+            console.error(`Error checking market flags for ${itemName}:`, error);
+            this.marketFlags.set(itemName, []);
+        }
+    }
+
+    /**
+     * @returns {Object[]} Market flags, empty for items that aren't on the bazaar
+     */
+    getMarketFlags(itemName) {
+        return this.marketFlags.get(itemName) || [];
+    }
+
+    /**
+     * How old an item's price is
+     * @returns {Object|null} { age, stale } with age in ms, or null for coin costs and unpriced items
+     */
+    getPriceFreshness(itemName, source) {
+        if (source === 'coins') {
+            return null;
+        }
+
+        const itemId = this.getItemId(itemName);
+        const priceSource = source === 'bazaar' ? 'bazaar' : 'auction';
+        const age = itemId ? this.priceAPI.getPriceAge(itemId, priceSource) : null;
+        if (age === null) {
+            return null;
+        }
+
+        return { age, stale: this.priceAPI.isPriceStale(itemId, priceSource) };
+    }
+
+    /**
+     * Effective unit price used in profit calculations.
+     * Bazaar items are priced by walking the order book for the full quantity at the given side,
+     * everything else comes from the price cache.
+     * @returns {Object} { unitPrice, sufficient } - sufficient is false when the bazaar book can't fill the quantity
+     */
+    getEffectivePrice(itemName, source, quantity, side) {
+        if (source === 'bazaar') {
+            const itemId = this.getItemId(itemName);
+            const fill = itemId ? this.priceAPI.getFillPrice(itemId, quantity, side) : null;
+            if (!fill) {
+                return { unitPrice: 0, sufficient: true };
+            }
+            return { unitPrice: fill.averagePrice, sufficient: fill.sufficient };
+        }
+
+        return { unitPrice: this.priceCache.get(itemName) || 0, sufficient: true };
+    }
+
+    calculateRecipeProfit(recipe) {
+        let inputCost = 0;
+        const inputDetails = [];
+
+        recipe.inputs.forEach(input => {
+            let price = 0;
+            let totalCost = 0;
+            let sufficientDepth = true;
+
+            if (input.source === 'coins') {
+                price = input.coinCost || 0;
+                totalCost = price * input.quantity;
+            } else {
+                const effective = this.getEffectivePrice(input.name, input.source, input.quantity, this.priceSides.buy);
+                price = effective.unitPrice;
+                totalCost = price * input.quantity;
+                sufficientDepth = effective.sufficient;
+            }
+
+            inputCost += totalCost;
+            inputDetails.push({
+                ...input,
+                unitPrice: price,
+                totalCost: totalCost,
+                sufficientDepth,
+                freshness: this.getPriceFreshness(input.name, input.source),
+                marketFlags: input.source === 'bazaar' ? this.getMarketFlags(input.name) : []
+            });
+        });
+
+        const output = this.getEffectivePrice(recipe.name, recipe.sellLocation, 1, this.priceSides.sell);
+        const outputPrice = output.unitPrice;
+        const sale = this.marketFees.sellFees(recipe.sellLocation, outputPrice, 1);
+        const outputMarketFlags = recipe.sellLocation === 'bazaar' ? this.getMarketFlags(recipe.name) : [];
+        const grossProfit = outputPrice - inputCost;
+        const profit = sale.net - inputCost;
+
+        const baseHours = this.getBaseHours(recipe);
+        const totalHours = this.timeModifiers.apply(baseHours);
+        const profitPerHour = totalHours > 0 ? profit / totalHours : 0;
+
+        return {
+            inputCost,
+            outputValue: outputPrice,
+            // Profit before and after the costs of selling the output
+            grossProfit,
+            fees: sale.fees,
+            profit,
+            profitPerHour,
+            inputDetails,
+            // Forge time in hours with the time perks applied, and as listed in forge-recipes.json
+            totalTime: totalHours,
+            baseTime: baseHours,
+            // False when a bazaar book is too thin to fill an input or the output at the shown price
+            outputSufficientDepth: output.sufficient,
+            outputFreshness: this.getPriceFreshness(recipe.name, recipe.sellLocation),
+            outputValuation: recipe.sellLocation === 'auction' ? this.getAuctionValuation(recipe.name) : null,
+            sufficientDepth: output.sufficient && inputDetails.every(input => input.sufficientDepth),
+            outputMarketFlags,
+            // True when the output or any input has a bazaar price that may be manipulated
+            flagged: outputMarketFlags.length > 0 || inputDetails.some(input => input.marketFlags.length > 0),
+            // Forging inputs instead of buying them, null when no input can be forged
+            chain: this.recipeGraph.hasForgeableInputs(recipe) ? this.calculateChain(recipe, sale.net) : null
+        };
+    }
+
+    /**
+     * Profit of a recipe with every forgeable input bought or forged, whichever is cheaper or overridden
+     * @param {number} saleNet - What selling the output brings in after fees
+     * @returns {Object} { cost, hours, profit, profitPerHour, missing, inputs } with hours in slot-hours,
+     *                   see ForgeRecipeGraph.resolve()
+     */
+    calculateChain(recipe, saleNet) {
+        const resolved = this.recipeGraph.resolve(recipe.name, this.chainOverrides);
+        const profit = saleNet - resolved.cost;
+
+        return {
+            cost: resolved.cost,
+            hours: resolved.hours,
+            profit,
+            profitPerHour: resolved.hours > 0 ? profit / resolved.hours : 0,
+            missing: resolved.missing,
+            inputs: resolved.inputs
+        };
+    }
+
+    /**
+     * Forge time in hours as listed in forge-recipes.json
+     */
+    getBaseHours(recipe) {
+        const days = recipe.time.days || 0;
+        const hours = recipe.time.hours || 0;
+        const minutes = recipe.time.minutes || 0;
+        const seconds = recipe.time.seconds || 0;
+        return (days * 24) + hours + (minutes / 60) + (seconds / 3600);
+    }
+
+    /**
+     * Whether an input or the output of a calculated recipe has no price
+     */
+    hasMissingPrices(recipe, calculation) {
+        const hasMissingInput = calculation.inputDetails.some(inp => inp.source !== 'coins' && (!inp.unitPrice || inp.unitPrice === 0));
+        const hasMissingOutput = (!calculation.outputValue || calculation.outputValue === 0) && recipe.sellLocation && recipe.sellLocation !== 'coins';
+        return Boolean(hasMissingInput || hasMissingOutput);
+    }
+
+    /**
+     * Filtered and sorted recipes with their calculations: the ranked recipes first,
+     * then flagged ones left out of the ranking, then locked ones, then the ones missing a price
+     * @param {Object} filters
+     * @param {string} filters.search - Text the recipe name or an input name must contain, '' for every recipe
+     * @param {string} filters.category - Recipe category or 'all'
+     * @param {string} filters.sortBy - Sort option value
+     * @param {string} filters.sellLocation - 'bazaar', 'auction' or 'all'
+     * @param {boolean} filters.excludeFlagged - Leave flagged recipes out of the ranking
+     * @param {string} filters.lockedRecipes - Recipes the player hasn't unlocked: 'show' ranks them normally,
+     *                                         'grey' lists them after the ranking, 'hide' leaves them out
+     * @param {number} filters.inputCostMin - Minimum input cost in coins
+     * @param {number} filters.inputCostMax - Maximum input cost in coins (Infinity for no limit)
+     * @param {number} filters.forgeTimeMin - Minimum forge time in hours
+     * @param {number} filters.forgeTimeMax - Maximum forge time in hours
+     * @returns {Object[]} Recipes with `calculation`, `missingInputs`, `missingRequirements` (see
+     *                     getMissingRequirements()) and `locked`
+     */
+    getResults(filters) {
+        let filteredRecipes = this.recipes;
+
+        // Search by recipe or ingredient name
+        const search = filters.search.trim().toLowerCase();
+        if (search !== '') {
+            filteredRecipes = filteredRecipes.filter(recipe => recipe.name.toLowerCase().includes(search)
+                || recipe.inputs.some(input => input.source !== 'coins' && input.name.toLowerCase().includes(search)));
+        }
+
+        // Category filter
+        if (filters.category !== 'all') {
+            filteredRecipes = filteredRecipes.filter(recipe => recipe.category === filters.category);
+        }
+
+        // Sell location filter
+        if (filters.sellLocation !== 'all') {
+            filteredRecipes = filteredRecipes.filter(recipe => recipe.sellLocation === filters.sellLocation);
+        }
+
+        // Progression filter
+        if (filters.lockedRecipes === 'hide') {
+            filteredRecipes = filteredRecipes.filter(recipe => !this.isLocked(recipe));
+        }
+
+        const recipesWithData = filteredRecipes.map(recipe => {
+            const calculation = this.calculateRecipeProfit(recipe);
+            const missingRequirements = this.getMissingRequirements(recipe);
+
+            return {
+                ...recipe,
+                calculation,
+                missingInputs: this.hasMissingPrices(recipe, calculation),
+                missingRequirements,
+                locked: missingRequirements !== null && missingRequirements.length > 0
+            };
+        });
+
+        // Apply range filters
+        const rangeFiltered = recipesWithData.filter(recipe => {
+            const inputCost = recipe.calculation.inputCost;
+            const forgeTime = recipe.calculation.totalTime;
+
+            if (inputCost < filters.inputCostMin || inputCost > filters.inputCostMax) return false;
+            if (forgeTime < filters.forgeTimeMin || forgeTime > filters.forgeTimeMax) return false;
+
+            return true;
+        });
+
+        // Recipes without forgeable inputs rank by their own profit per hour
+        const chainProfitPerHour = (recipe) => recipe.calculation.chain
+            ? recipe.calculation.chain.profitPerHour
+            : recipe.calculation.profitPerHour;
+
+        // Sort recipes
+        rangeFiltered.sort((a, b) => {
+            switch (filters.sortBy) {
+                case 'profit-per-hour-desc':
+                    return b.calculation.profitPerHour - a.calculation.profitPerHour;
+                case 'chain-profit-per-hour-desc':
+                    return chainProfitPerHour(b) - chainProfitPerHour(a);
+                case 'profit-per-hour-asc':
+                    return a.calculation.profitPerHour - b.calculation.profitPerHour;
+                case 'profit-desc':
+                    return b.calculation.profit - a.calculation.profit;
+                case 'profit-asc':
+                    return a.calculation.profit - b.calculation.profit;
+                case 'time-asc':
+                    return a.calculation.totalTime - b.calculation.totalTime;
+                case 'time-desc':
+                    return b.calculation.totalTime - a.calculation.totalTime;
+                case 'name-asc':
+                    return a.name.localeCompare(b.name);
+                case 'category-asc':
+                    return a.category.localeCompare(b.category);
+                default:
+                    return b.calculation.profitPerHour - a.calculation.profitPerHour;
+            }
+        });
+
+        // Flagged and locked recipes can be left out of the ranking, they're listed after it
+        const greyLocked = filters.lockedRecipes === 'grey';
+        const complete = rangeFiltered.filter(r => !r.missingInputs);
+        const ready = complete.filter(r => !(filters.excludeFlagged && r.calculation.flagged) && !(greyLocked && r.locked));
+        const flagged = filters.excludeFlagged ? complete.filter(r => r.calculation.flagged && !(greyLocked && r.locked)) : [];
+        const locked = greyLocked ? complete.filter(r => r.locked) : [];
+        const incomplete = recipesWithData.filter(r => r.missingInputs);
+        return ready.concat(flagged, locked, incomplete);
+    }
+
+    /**
+     * Every input of several recipes, totalled into one shopping list
+     * @param {Object[]} selection - { name, quantity } recipes and how many times each is forged
+     * @returns {Object} { recipes, items, total } where items are { name, source, quantity, unitPrice, totalCost,
+     *                   sufficient }; coin costs are one 'coins' item whose quantity is the coins needed
+     */
+    getShoppingList(selection) {
+        const items = new Map();
+
+        selection.forEach(({ name, quantity }) => {
+            const recipe = this.recipes.find(r => r.name === name);
+            if (!recipe) {
+                throw new Error(`Unknown forge recipe: ${name}`);
+            }
+
+            recipe.inputs.forEach(input => {
+                const needed = input.source === 'coins' ? (input.coinCost || 0) * input.quantity : input.quantity;
+                const item = items.get(input.name) || { name: input.name, source: input.source, quantity: 0 };
+                item.quantity += needed * quantity;
+                items.set(input.name, item);
+            });
+        });
+
+        const priced = Array.from(items.values()).map(item => {
+            if (item.source === 'coins') {
+                return { ...item, unitPrice: 1, totalCost: item.quantity, sufficient: true };
+            }
+
+            // Bazaar items are priced for the whole quantity, a big list can walk deep into the book
+            const effective = this.getEffectivePrice(item.name, item.source, item.quantity, this.priceSides.buy);
+            return {
+                ...item,
+                unitPrice: effective.unitPrice,
+                totalCost: effective.unitPrice * item.quantity,
+                sufficient: effective.sufficient
+            };
+        });
+
+        return {
+            recipes: selection,
+            items: priced,
+            total: priced.reduce((sum, item) => sum + item.totalCost, 0)
+        };
+    }
+
+    /**
+     * One recipe priced with a sourcing choice per input and a selling choice for the output,
+     * for the recipe detail view
+     * @param {string} name - Recipe name
+     * @param {Object} choices - { inputs: { itemName: choice }, output: choice, bazaarInput, bazaarOutput };
+     *                           bazaar inputs not listed and a missing bazaar output choice use bazaarInput
+     *                           and bazaarOutput, which the page sets from its price settings. See
+     *                           INPUT_CHOICES and OUTPUT_CHOICES for what each source accepts
+     * @returns {Object} { name, inputs, inputCost, output, profit, profitPerHour, totalTime } where inputs are
+     *                   { name, quantity, source, choice, choices, unitPrice, totalCost, share, sufficient } with
+     *                   share their part of the input cost, and output is { source, choice, choices, unitPrice,
+     *                   fees, net, sufficient }
+     */
+    getRecipeDetail(name, choices) {
+        const recipe = this.recipes.find(r => r.name === name);
+        if (!recipe) {
+            throw new Error(`Unknown forge recipe: ${name}`);
+        }
+
+        if (!ForgeProfitEngine.INPUT_CHOICES.bazaar.includes(choices.bazaarInput)) {
+            throw new Error(`Unknown bazaar input choice: ${choices.bazaarInput}`);
+        }
+        if (!ForgeProfitEngine.OUTPUT_CHOICES.bazaar.includes(choices.bazaarOutput)) {
+            throw new Error(`Unknown bazaar output choice: ${choices.bazaarOutput}`);
+        }
+
+        const inputs = recipe.inputs.map(input => {
+            const options = ForgeProfitEngine.INPUT_CHOICES[input.source];
+            const choice = choices.inputs[input.name] || (input.source === 'bazaar' ? choices.bazaarInput : options[0]);
+            if (!options.includes(choice)) {
+                throw new Error(`Can't source ${input.name} by ${choice}`);
+            }
+
+            let effective;
+            if (choice === 'owned') {
+                // Items the player already has cost nothing to start the recipe
+                effective = { unitPrice: 0, sufficient: true };
+            } else if (input.source === 'coins') {
+                effective = { unitPrice: input.coinCost || 0, sufficient: true };
+            } else {
+                effective = this.getEffectivePrice(input.name, input.source, input.quantity, input.source === 'bazaar' ? choice : null);
+            }
+
+            return {
+                name: input.name,
+                quantity: input.quantity,
+                source: input.source,
+                choice,
+                choices: options,
+                unitPrice: effective.unitPrice,
+                totalCost: effective.unitPrice * input.quantity,
+                sufficient: effective.sufficient
+            };
+        });
+
+        const inputCost = inputs.reduce((sum, input) => sum + input.totalCost, 0);
+        inputs.forEach(input => {
+            input.share = inputCost > 0 ? input.totalCost / inputCost : 0;
+        });
+
+        const outputOptions = ForgeProfitEngine.OUTPUT_CHOICES[recipe.sellLocation];
+        const outputChoice = choices.output || (recipe.sellLocation === 'bazaar' ? choices.bazaarOutput : outputOptions[0]);
+        if (!outputOptions.includes(outputChoice)) {
+            throw new Error(`Can't sell ${recipe.name} by ${outputChoice}`);
+        }
+
+        const sold = this.getEffectivePrice(recipe.name, recipe.sellLocation, 1, recipe.sellLocation === 'bazaar' ? outputChoice : null);
+        const sale = this.marketFees.sellFees(recipe.sellLocation, sold.unitPrice, 1);
+        const profit = sale.net - inputCost;
+        const totalHours = this.timeModifiers.apply(this.getBaseHours(recipe));
+
+        return {
+            name: recipe.name,
+            inputs,
+            inputCost,
+            output: {
+                source: recipe.sellLocation,
+                choice: outputChoice,
+                choices: outputOptions,
+                unitPrice: sold.unitPrice,
+                fees: sale.fees,
+                net: sale.net,
+                sufficient: sold.sufficient
+            },
+            profit,
+            profitPerHour: totalHours > 0 ? profit / totalHours : 0,
+            totalTime: totalHours
+        };
+    }
+
+    /**
+     * Recipes the forge planner and portfolio optimizer can choose from: the ranked ones the player has
+     * unlocked, with their net profit, forge time and input cost
+     * @param {Object} filters - Same as getResults()
+     * @returns {Object[]} { name, profit, duration, cost, sellLocation } with duration in ms, see ForgePlanner
+     *                     and ForgePortfolio
+     */
+    getPlannerRecipes(filters) {
+        return this.getResults(filters)
+            .filter(recipe => !recipe.missingInputs && !(filters.excludeFlagged && recipe.calculation.flagged))
+            // The planner never schedules a recipe the player can't start, unless progression is ignored
+            .filter(recipe => filters.lockedRecipes === 'show' || !recipe.locked)
+            .map(recipe => ({
+                name: recipe.name,
+                profit: recipe.calculation.profit,
+                duration: recipe.calculation.totalTime * 60 * 60 * 1000,
+                cost: recipe.calculation.inputCost,
+                sellLocation: recipe.sellLocation
+            }));
+    }
+
+    /**
+     * Which recipes the player's stock covers, for the "what can I forge with this" lookup. Each recipe
+     * is checked on its own against the whole stock. Coin costs aren't stock, they're always part of
+     * what's missing.
+     * @param {Object[]} stock - { name, quantity } items the player has
+     * @returns {Object} { recipes, unused } where recipes are { name, full, crafts, coveredShare, inputs,
+     *                   missingCost, profit } for every recipe using a stocked item, full recipes first:
+     *                   crafts is how many times the stock forges it, coveredShare the part of one craft's
+     *                   input cost (or units, when an input is unpriced) the stock covers and inputs are { name, source,
+     *                   needed, have, missing, missingCost } for one craft. unused lists stocked items no recipe uses
+     */
+    getStockCoverage(stock) {
+        // Stock matches inputs by item tag, names items.json doesn't know match by name
+        const key = (name) => this.getItemId(name) || name.trim().toLowerCase();
+        const have = new Map();
+        stock.forEach(item => {
+            have.set(key(item.name), (have.get(key(item.name)) || 0) + item.quantity);
+        });
+        const used = new Set();
+
+        const recipes = [];
+        this.recipes.forEach(recipe => {
+            const items = recipe.inputs.filter(input => input.source !== 'coins');
+            if (!items.some(input => have.has(key(input.name)))) {
+                return;
+            }
+
+            let crafts = Infinity;
+            let allPriced = true;
+            let totalValue = 0;
+            let coveredValue = 0;
+            let totalUnits = 0;
+            let coveredUnits = 0;
+
+            const inputs = recipe.inputs.map(input => {
+                if (input.source === 'coins') {
+                    const coins = (input.coinCost || 0) * input.quantity;
+                    return { name: input.name, source: input.source, needed: coins, have: 0, missing: coins, missingCost: coins };
+                }
+
+                used.add(key(input.name));
+                const owned = have.get(key(input.name)) || 0;
+                const covered = Math.min(owned, input.quantity);
+                const missing = input.quantity - covered;
+                const unitPrice = this.getEffectivePrice(input.name, input.source, input.quantity, this.priceSides.buy).unitPrice;
+
+                crafts = Math.min(crafts, Math.floor(owned / input.quantity));
+                allPriced = allPriced && unitPrice > 0;
+                totalValue += unitPrice * input.quantity;
+                coveredValue += unitPrice * covered;
+                totalUnits += input.quantity;
+                coveredUnits += covered;
+
+                return { name: input.name, source: input.source, needed: input.quantity, have: owned, missing, missingCost: unitPrice * missing };
+            });
+
+            recipes.push({
+                name: recipe.name,
+                full: crafts > 0,
+                crafts,
+                coveredShare: allPriced ? coveredValue / totalValue : coveredUnits / totalUnits,
+                inputs,
+                missingCost: inputs.reduce((sum, input) => sum + input.missingCost, 0),
+                profit: this.calculateRecipeProfit(recipe).profit
+            });
+        });
+
+        recipes.sort((a, b) => (b.full - a.full) || (b.crafts - a.crafts) || (b.coveredShare - a.coveredShare) || (b.profit - a.profit));
+
+        return {
+            recipes,
+            unused: stock.filter(item => !used.has(key(item.name))).map(item => item.name)
+        };
+    }
+
+    /**
+     * Current values of the recipes the page's watchlist and forge tracker follow, whatever the filters,
+     * see ForgeWatchlist.evaluate()
+     * @param {string[]} names - Watched recipe names
+     * @returns {Object} Recipe name -> { profit, profitPerHour, inputCost, outputValue, saleNet, priced } where
+     *                   saleNet is what selling the output brings in after fees and priced is false while an
+     *                   input or the output has no price; unknown recipes are left out
+     */
+    getWatchValues(names) {
+        const values = {};
+
+        names.forEach(name => {
+            // A recipe watched before it was removed from forge-recipes.json
+            const recipe = this.recipes.find(r => r.name === name);
+            if (!recipe) {
+                return;
+            }
+
+            const calculation = this.calculateRecipeProfit(recipe);
+            values[name] = {
+                profit: calculation.profit,
+                profitPerHour: calculation.profitPerHour,
+                inputCost: calculation.inputCost,
+                outputValue: calculation.outputValue,
+                saleNet: calculation.outputValue - calculation.fees,
+                priced: !this.hasMissingPrices(recipe, calculation)
+            };
+        });
+
+        return values;
+    }
+
+    /**
+     * Trend markup for each recipe's output item
+     * @param {Object[]} recipes - Results from getResults()
+     * @returns {Promise<Object>} Recipe name -> PriceTrend markup
+     */
+    async getTrends(recipes) {
+        const trends = {};
+
+        await Promise.allSettled(recipes.map(async recipe => {
+            const itemId = this.getItemId(recipe.name);
+            if (!itemId) {
+                return;
+            }
+
+            try {
+                const history = await this.getTrendHistory(itemId);
+                // Auction history tracks the lowest BIN on the buy side and the median sale on the sell side
+                const side = recipe.sellLocation === 'auction'
+                    ? (this.auctionStrategy === 'lbin' ? 'instantBuy' : 'instantSell')
+                    : this.priceSides.sell;
+                trends[recipe.name] = PriceTrend.render(history, side, recipe.calculation.outputValue);
+            } catch (error) {
+                console.error(`Error loading price history for ${recipe.name}:`, error);
+            }
+        }));
+
+        return trends;
+    }
+
+    getTrendHistory(itemId) {
+        const cached = this.trendCache.get(itemId);
+        if (cached && Date.now() - cached.loadedAt < 60000) {
+            return cached.history;
+        }
+
+        const history = PriceTrend.load(this.priceAPI, itemId);
+        this.trendCache.set(itemId, { loadedAt: Date.now(), history });
+        return history;
+    }
+}
+
+// How the detail view can source an input of each source; the first auction and coins option is the default
+ForgeProfitEngine.INPUT_CHOICES = {
+    bazaar: ['instantBuy', 'buyOrder', 'owned'],
+    auction: ['buy', 'owned'],
+    coins: ['coins']
+};
+
+// How the detail view can sell an output of each sell location
+ForgeProfitEngine.OUTPUT_CHOICES = {
+    bazaar: ['instantSell', 'sellOffer'],
+    auction: ['auction']
+};
+
+// Make it globally available (the page's window, or the worker's global scope)
+if (typeof self !== 'undefined') {
+    self.ForgeProfitEngine = ForgeProfitEngine;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ForgeProfitEngine;
+}
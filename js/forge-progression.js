@@ -0,0 +1,164 @@
+/**
+ * Forge Progression
+ *
+ * What a player has unlocked, checked against the `requirements` of forge recipes:
+ *   "requirements": {
+ *       "hotm": 3,                                        // Heart of the Mountain tier
+ *       "collections": [{ "name": "Mithril", "tier": 5 }], // collection tiers
+ *       "quests": ["Talk to the King"]                     // anything else that has to be done first
+ *   }
+ * Every field is optional, `"requirements": {}` means the recipe has none. Recipes without a
+ * `requirements` entry haven't been recorded yet, they're never treated as locked.
+ *
+ * The progression is saved in localStorage and bound to the page with ForgeProgression.bindControls().
+ *
+ * Usage:
+ * const progression = new ForgeProgression({ hotm: 3, unlocked: ['collection:Mithril:5'] });
+ * const missing = progression.missingRequirements(recipe.requirements); // ['HotM 4 (you have 3)']
+ */
+class ForgeProgression {
+    /**
+     * @param {Object} settings
+     * @param {number|null} settings.hotm - Heart of the Mountain tier, null if the player hasn't set it
+     * @param {string[]} settings.unlocked - Collection and quest requirements met, see requirementKey()
+     */
+    constructor(settings) {
+        const hotm = settings.hotm;
+        if (hotm !== null && (!Number.isInteger(hotm) || hotm < 0 || hotm > ForgeProgression.MAX_HOTM)) {
+            throw new Error(`Unknown HotM tier: ${hotm}`);
+        }
+        if (!Array.isArray(settings.unlocked)) {
+            throw new Error('Unlocked requirements must be a list');
+        }
+
+        this.settings = { hotm, unlocked: [...settings.unlocked] };
+        this.unlocked = new Set(settings.unlocked);
+    }
+
+    static loadSettings() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(ForgeProgression.STORAGE_KEY));
+            if (saved) {
+                // Validates the saved settings
+                new ForgeProgression(saved);
+                return saved;
+            }
+        } catch (error) {
+            console.warn('Ignoring saved forge progression:', error);
+        }
+        return { ...ForgeProgression.DEFAULT_SETTINGS, unlocked: [] };
+    }
+
+    static saveSettings(settings) {
+        localStorage.setItem(ForgeProgression.STORAGE_KEY, JSON.stringify(settings));
+    }
+
+    /**
+     * Wire the HotM tier select (#progressionHotm) to the saved progression
+     * @param {Function} onChange - Called with the new ForgeProgression whenever it changes
+     * @returns {ForgeProgression} Progression as saved
+     */
+    static bindControls(onChange) {
+        const settings = ForgeProgression.loadSettings();
+        const hotmSelect = document.getElementById('progressionHotm');
+
+        hotmSelect.value = settings.hotm === null ? 'unset' : settings.hotm;
+        hotmSelect.addEventListener('change', () => {
+            settings.hotm = hotmSelect.value === 'unset' ? null : parseInt(hotmSelect.value);
+            ForgeProgression.saveSettings(settings);
+            onChange(new ForgeProgression(settings));
+        });
+
+        return new ForgeProgression(settings);
+    }
+
+    /**
+     * Same progression with a collection or quest requirement ticked or unticked (and saved)
+     */
+    withUnlocked(key, unlocked) {
+        const keys = new Set(this.settings.unlocked);
+        if (unlocked) {
+            keys.add(key);
+        } else {
+            keys.delete(key);
+        }
+
+        const settings = { ...this.settings, unlocked: Array.from(keys) };
+        ForgeProgression.saveSettings(settings);
+        return new ForgeProgression(settings);
+    }
+
+    /**
+     * Key a collection or quest requirement is stored under, e.g. 'collection:Mithril:5' or 'quest:Talk to the King'
+     */
+    static requirementKey(type, requirement) {
+        return type === 'collection' ? `collection:${requirement.name}:${requirement.tier}` : `quest:${requirement}`;
+    }
+
+    /**
+     * Label for a requirement key, e.g. 'Mithril Collection 5'
+     */
+    static describeKey(key) {
+        const [type, ...rest] = key.split(':');
+        return type === 'collection' ? `${rest[0]} Collection ${rest[1]}` : rest.join(':');
+    }
+
+    /**
+     * Every collection and quest requirement the recipes use, as requirementKey() keys
+     */
+    static requirementKeys(recipes) {
+        const keys = new Set();
+        recipes.forEach(recipe => {
+            const requirements = recipe.requirements || {};
+            (requirements.collections || []).forEach(collection => keys.add(ForgeProgression.requirementKey('collection', collection)));
+            (requirements.quests || []).forEach(quest => keys.add(ForgeProgression.requirementKey('quest', quest)));
+        });
+        return Array.from(keys).sort();
+    }
+
+    /**
+     * What the player still needs for a recipe
+     * @param {Object|undefined} requirements - The recipe's requirements
+     * @returns {string[]|null} Missing requirements (empty when unlocked), or null when the recipe's
+     *                          requirements aren't recorded or the player hasn't set their HotM tier
+     */
+    missingRequirements(requirements) {
+        if (!requirements || this.settings.hotm === null) {
+            return null;
+        }
+
+        const missing = [];
+        if (requirements.hotm !== undefined && this.settings.hotm < requirements.hotm) {
+            missing.push(`HotM ${requirements.hotm} (you have ${this.settings.hotm})`);
+        }
+        (requirements.collections || []).forEach(collection => {
+            const key = ForgeProgression.requirementKey('collection', collection);
+            if (!this.unlocked.has(key)) {
+                missing.push(ForgeProgression.describeKey(key));
+            }
+        });
+        (requirements.quests || []).forEach(quest => {
+            if (!this.unlocked.has(ForgeProgression.requirementKey('quest', quest))) {
+                missing.push(quest);
+            }
+        });
+
+        return missing;
+    }
+}
+
+ForgeProgression.MAX_HOTM = 10;
+
+// Until the player sets their progression nothing is treated as locked
+ForgeProgression.DEFAULT_SETTINGS = { hotm: null, unlocked: [] };
+
+ForgeProgression.STORAGE_KEY = 'hypixel-forge-progression';
+
+// Make it globally available (the page's window, or the worker's global scope)
+if (typeof self !== 'undefined') {
+    self.ForgeProgression = ForgeProgression;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ForgeProgression;
+}
@@ -0,0 +1,125 @@
+/**
+ * Forge Recipe Graph
+ *
+ * Many forge inputs are forge outputs themselves (Refined Mithril goes into Mithril Plate,
+ * which goes into Perfect Plate). For every such input the graph compares buying it with
+ * forging it from its own inputs, all the way down, and picks the cheaper one unless the
+ * player chose for that item.
+ *
+ * Forge time of a chain is counted in slot-hours: every forge step of the chain done one
+ * after another in a single slot, including repeated crafts of an input needed several times.
+ *
+ * Usage:
+ * const graph = new ForgeRecipeGraph(recipes, {
+ *     buyPrice: (input, quantity) => unitPrice,  // 0 when the input has no price
+ *     forgeHours: (recipe) => hours
+ * });
+ * const chain = graph.resolve('Mithril Plate', { 'Refined Mithril': 'buy' });
+ */
+class ForgeRecipeGraph {
+    /**
+     * @param {Object[]} recipes - forge-recipes.json recipes, each makes one of its output
+     * @param {Object} pricing
+     * @param {Function} pricing.buyPrice - (input, quantity) -> unit price in coins to buy that many, 0 if unpriced
+     * @param {Function} pricing.forgeHours - (recipe) -> hours one craft takes
+     */
+    constructor(recipes, pricing) {
+        this.recipes = new Map(recipes.map(recipe => [recipe.name, recipe]));
+        this.pricing = pricing;
+    }
+
+    /**
+     * Whether any input of a recipe can be forged instead of bought
+     */
+    hasForgeableInputs(recipe) {
+        return recipe.inputs.some(input => input.source !== 'coins' && this.recipes.has(input.name));
+    }
+
+    /**
+     * Cheapest way to forge one of a recipe's output
+     * @param {string} name - Recipe to resolve
+     * @param {Object} overrides - Item name -> 'buy' or 'forge', items not listed take the cheaper option
+     * @returns {Object} { name, cost, hours, missing, inputs } where cost covers every bought input and
+     *                   coin cost of the chain, hours is the chain's slot-hours and missing is true when
+     *                   an input can be neither bought nor forged
+     */
+    resolve(name, overrides) {
+        return this.resolveRecipe(this.recipes.get(name), overrides, new Set());
+    }
+
+    /**
+     * @param {Set<string>} path - Recipes being resolved above this one, they can't be forged again below it
+     */
+    resolveRecipe(recipe, overrides, path) {
+        const innerPath = new Set(path).add(recipe.name);
+        const inputs = recipe.inputs.map(input => this.resolveInput(input, input.quantity, overrides, innerPath));
+
+        return {
+            name: recipe.name,
+            cost: inputs.reduce((sum, input) => sum + input.cost, 0),
+            hours: this.pricing.forgeHours(recipe) + inputs.reduce((sum, input) => sum + input.hours, 0),
+            missing: inputs.some(input => input.missing),
+            inputs
+        };
+    }
+
+    /**
+     * @param {number} quantity - Units needed for one craft of the recipe above
+     * @returns {Object} { name, quantity, source, mode, overridden, buyCost, forgeCost, cost, hours, missing, forged }
+     *                   where mode is 'coins', 'buy' or 'forge', buyCost and forgeCost are null when that
+     *                   option isn't available and forged is the resolved recipe for one unit (null if not forgeable)
+     */
+    resolveInput(input, quantity, overrides, path) {
+        if (input.source === 'coins') {
+            const cost = (input.coinCost || 0) * quantity;
+            return {
+                name: input.name, quantity, source: input.source, mode: 'coins', overridden: false,
+                buyCost: cost, forgeCost: null, cost, hours: 0, missing: false, forged: null
+            };
+        }
+
+        const unitPrice = this.pricing.buyPrice(input, quantity);
+        const buyCost = unitPrice > 0 ? unitPrice * quantity : null;
+
+        // A recipe that (indirectly) needs itself can only be bought at that point
+        const recipe = this.recipes.get(input.name);
+        const forged = recipe && !path.has(recipe.name) ? this.resolveRecipe(recipe, overrides, path) : null;
+        const forgeCost = forged && !forged.missing ? forged.cost * quantity : null;
+
+        let mode;
+        const override = overrides[input.name];
+        if (override === 'forge' && forged) {
+            mode = 'forge';
+        } else if (override === 'buy' && buyCost !== null) {
+            mode = 'buy';
+        } else if (forgeCost !== null && (buyCost === null || forgeCost < buyCost)) {
+            mode = 'forge';
+        } else {
+            mode = 'buy';
+        }
+
+        const forging = mode === 'forge';
+        return {
+            name: input.name,
+            quantity,
+            source: input.source,
+            mode,
+            overridden: override === mode,
+            buyCost,
+            forgeCost,
+            cost: forging ? forged.cost * quantity : buyCost || 0,
+            hours: forging ? forged.hours * quantity : 0,
+            missing: forging ? forged.missing : buyCost === null,
+            forged
+        };
+    }
+}
+
+// Make it globally available (the page's window, or the worker's global scope)
+if (typeof self !== 'undefined') {
+    self.ForgeRecipeGraph = ForgeRecipeGraph;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ForgeRecipeGraph;
+}
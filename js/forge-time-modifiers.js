@@ -0,0 +1,142 @@
+/**
+ * Forge Time Modifiers
+ *
+ * How much faster than the times in forge-recipes.json a player forges:
+ * - Quick Forge, the Heart of the Mountain perk (levels 1-20)
+ * - Molten Forge, mayor Cole's perk
+ * - any other reduction, e.g. from an event, entered as a percentage
+ * The reductions stack multiplicatively, each one applies to the time left by the others.
+ *
+ * The settings are saved in localStorage and bound to the page with ForgeTimeModifiers.bindControls().
+ *
+ * Usage:
+ * const modifiers = new ForgeTimeModifiers({ quickForgeLevel: 20, moltenForge: false, otherReduction: 0 });
+ * const hours = modifiers.apply(12); // 8.4
+ */
+class ForgeTimeModifiers {
+    /**
+     * @param {Object} settings
+     * @param {number} settings.quickForgeLevel - Quick Forge perk level, 0 without the perk
+     * @param {boolean} settings.moltenForge - Cole's Molten Forge perk is active
+     * @param {number} settings.otherReduction - Any other forge time reduction in percent (0 to under 100)
+     */
+    constructor(settings) {
+        const level = settings.quickForgeLevel;
+        if (!Number.isInteger(level) || level < 0 || level > ForgeTimeModifiers.QUICK_FORGE.maxLevel) {
+            throw new Error(`Unknown Quick Forge level: ${level}`);
+        }
+        if (typeof settings.moltenForge !== 'boolean') {
+            throw new Error(`Invalid Molten Forge setting: ${settings.moltenForge}`);
+        }
+        if (!(settings.otherReduction >= 0 && settings.otherReduction < 100)) {
+            throw new Error(`Invalid forge time reduction: ${settings.otherReduction}%`);
+        }
+
+        this.settings = { ...settings };
+    }
+
+    static loadSettings() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(ForgeTimeModifiers.STORAGE_KEY));
+            if (saved) {
+                // Validates the saved settings
+                new ForgeTimeModifiers(saved);
+                return saved;
+            }
+        } catch (error) {
+            console.warn('Ignoring saved forge time settings:', error);
+        }
+        return { ...ForgeTimeModifiers.DEFAULT_SETTINGS };
+    }
+
+    static saveSettings(settings) {
+        localStorage.setItem(ForgeTimeModifiers.STORAGE_KEY, JSON.stringify(settings));
+    }
+
+    /**
+     * Wire the forge time controls (#quickForgeLevel, #moltenForge, #otherTimeReduction) to the saved settings
+     * @param {Function} onChange - Called with the new ForgeTimeModifiers whenever a setting changes
+     * @returns {ForgeTimeModifiers} Modifiers for the current settings
+     */
+    static bindControls(onChange) {
+        const settings = ForgeTimeModifiers.loadSettings();
+        const controls = {
+            quickForgeLevel: { element: document.getElementById('quickForgeLevel'), parse: value => parseInt(value) },
+            moltenForge: { element: document.getElementById('moltenForge'), parse: value => value === 'on', format: value => value ? 'on' : 'off' },
+            otherReduction: { element: document.getElementById('otherTimeReduction'), parse: value => parseFloat(value) }
+        };
+
+        Object.entries(controls).forEach(([key, control]) => {
+            const format = control.format || (value => value);
+            control.element.value = format(settings[key]);
+
+            control.element.addEventListener('change', () => {
+                const next = { ...settings, [key]: control.parse(control.element.value) };
+                try {
+                    const modifiers = new ForgeTimeModifiers(next);
+                    settings[key] = next[key];
+                    ForgeTimeModifiers.saveSettings(settings);
+                    onChange(modifiers);
+                } catch (error) {
+                    console.warn(error.message);
+                    control.element.value = format(settings[key]);
+                }
+            });
+        });
+
+        return new ForgeTimeModifiers(settings);
+    }
+
+    /**
+     * Share of the forge time Quick Forge removes: 10% plus 0.5% per level, 30% at the max level
+     */
+    quickForgeReduction() {
+        const level = this.settings.quickForgeLevel;
+        const perk = ForgeTimeModifiers.QUICK_FORGE;
+        if (level === 0) {
+            return 0;
+        }
+        return level === perk.maxLevel ? perk.maxLevelReduction : perk.baseReduction + perk.reductionPerLevel * level;
+    }
+
+    /**
+     * @returns {number} Factor the recipe times are multiplied by
+     */
+    multiplier() {
+        const molten = this.settings.moltenForge ? ForgeTimeModifiers.MOLTEN_FORGE_REDUCTION : 0;
+        return (1 - this.quickForgeReduction()) * (1 - molten) * (1 - this.settings.otherReduction / 100);
+    }
+
+    /**
+     * @param {number} hours - Forge time from forge-recipes.json
+     * @returns {number} Forge time in hours with the modifiers applied
+     */
+    apply(hours) {
+        return hours * this.multiplier();
+    }
+}
+
+// Heart of the Mountain Quick Forge perk
+ForgeTimeModifiers.QUICK_FORGE = {
+    maxLevel: 20,
+    baseReduction: 0.1,
+    reductionPerLevel: 0.005,
+    maxLevelReduction: 0.3
+};
+
+// Cole's Molten Forge perk
+ForgeTimeModifiers.MOLTEN_FORGE_REDUCTION = 0.25;
+
+// Settings until the page saves its own: no perks, recipes take their listed time
+ForgeTimeModifiers.DEFAULT_SETTINGS = { quickForgeLevel: 0, moltenForge: false, otherReduction: 0 };
+
+ForgeTimeModifiers.STORAGE_KEY = 'hypixel-forge-time';
+
+// Make it globally available (the page's window, or the worker's global scope)
+if (typeof self !== 'undefined') {
+    self.ForgeTimeModifiers = ForgeTimeModifiers;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ForgeTimeModifiers;
+}
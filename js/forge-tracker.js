@@ -0,0 +1,165 @@
+/**
+ * Forge Tracker
+ *
+ * What the player has put into each forge slot: the recipe, when it was started, when it
+ * finishes and what its inputs cost them. The finish time is fixed when the recipe is started,
+ * from its forge-recipes.json time with the forge time perks the player had then.
+ *
+ * The entries are saved in localStorage and can be exported as an .ics calendar.
+ *
+ * Usage:
+ * const tracker = new ForgeTracker(ForgeTracker.loadEntries());
+ * tracker.start({ slot: 1, recipe: 'Mithril Plate', startedAt: Date.now(), hours: 18, paid: 1200000 });
+ * const calendar = ForgeTracker.toICS(tracker.entries, Date.now());
+ */
+class ForgeTracker {
+    /**
+     * @param {Object[]} entries - { id, slot, recipe, startedAt, finishAt, paid }, see validateEntry()
+     */
+    constructor(entries) {
+        entries.forEach(entry => ForgeTracker.validateEntry(entry));
+        this.entries = entries.map(entry => ({ ...entry }));
+    }
+
+    /**
+     * @param {Object} entry
+     * @param {number} entry.id - Unique within the tracker
+     * @param {number} entry.slot - Forge slot, 1 to MAX_SLOTS
+     * @param {string} entry.recipe - Recipe name
+     * @param {number} entry.startedAt - Timestamp in ms
+     * @param {number} entry.finishAt - Timestamp in ms
+     * @param {number} entry.paid - Coins the inputs cost
+     */
+    static validateEntry(entry) {
+        if (!Number.isInteger(entry.id)) {
+            throw new Error(`Invalid forge tracker id: ${entry.id}`);
+        }
+        if (!Number.isInteger(entry.slot) || entry.slot < 1 || entry.slot > ForgeTracker.MAX_SLOTS) {
+            throw new Error(`Invalid forge slot: ${entry.slot}`);
+        }
+        if (typeof entry.recipe !== 'string' || entry.recipe === '') {
+            throw new Error('Forge tracker entry without a recipe');
+        }
+        if (!Number.isFinite(entry.startedAt) || !Number.isFinite(entry.finishAt) || entry.finishAt < entry.startedAt) {
+            throw new Error(`Invalid forge times for ${entry.recipe}`);
+        }
+        if (!Number.isFinite(entry.paid) || entry.paid < 0) {
+            throw new Error(`Invalid amount paid for ${entry.recipe}: ${entry.paid}`);
+        }
+    }
+
+    static loadEntries() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(ForgeTracker.STORAGE_KEY));
+            if (saved) {
+                // Validates the saved entries
+                new ForgeTracker(saved);
+                return saved;
+            }
+        } catch (error) {
+            console.warn('Ignoring saved forge tracker:', error);
+        }
+        return [];
+    }
+
+    save() {
+        localStorage.setItem(ForgeTracker.STORAGE_KEY, JSON.stringify(this.entries));
+    }
+
+    /**
+     * Record a recipe put into a free slot and save the tracker
+     * @param {Object} forge
+     * @param {number} forge.slot - Forge slot, 1 to MAX_SLOTS
+     * @param {string} forge.recipe - Recipe name
+     * @param {number} forge.startedAt - Timestamp in ms
+     * @param {number} forge.hours - Forge time with the player's perks applied
+     * @param {number} forge.paid - Coins the inputs cost
+     * @returns {Object} The recorded entry
+     */
+    start(forge) {
+        if (this.entries.some(entry => entry.slot === forge.slot)) {
+            throw new Error(`Slot ${forge.slot} is still forging, collect it first`);
+        }
+
+        const entry = {
+            id: Math.max(0, ...this.entries.map(existing => existing.id)) + 1,
+            slot: forge.slot,
+            recipe: forge.recipe,
+            startedAt: forge.startedAt,
+            finishAt: forge.startedAt + forge.hours * ForgeTracker.HOUR,
+            paid: forge.paid
+        };
+        ForgeTracker.validateEntry(entry);
+
+        this.entries.push(entry);
+        this.entries.sort((a, b) => a.slot - b.slot);
+        this.save();
+        return entry;
+    }
+
+    /**
+     * Remove a collected slot and save the tracker
+     */
+    collect(id) {
+        this.entries = this.entries.filter(entry => entry.id !== id);
+        this.save();
+    }
+
+    recipeNames() {
+        return Array.from(new Set(this.entries.map(entry => entry.recipe)));
+    }
+
+    /**
+     * Calendar with an event at each entry's finish time
+     * @param {Object[]} entries - Tracker entries
+     * @param {number} now - Timestamp the calendar is created at
+     * @returns {string} iCalendar (RFC 5545) text
+     */
+    static toICS(entries, now) {
+        const stamp = (time) => new Date(time).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+        // Commas, semicolons and backslashes are separators in iCalendar text
+        const text = (value) => String(value).replace(/[\\,;]/g, match => `\\${match}`);
+
+        const lines = [
+            'BEGIN:VCALENDAR',
+            'VERSION:2.0',
+            'PRODID:-//Hypixel Skyblock Calculators//Forge Tracker//EN',
+            'CALSCALE:GREGORIAN'
+        ];
+
+        entries.forEach(entry => {
+            lines.push(
+                'BEGIN:VEVENT',
+                `UID:forge-${entry.id}-${entry.startedAt}@hypixel-calculators`,
+                `DTSTAMP:${stamp(now)}`,
+                `DTSTART:${stamp(entry.finishAt)}`,
+                `DTEND:${stamp(entry.finishAt + ForgeTracker.EVENT_LENGTH)}`,
+                `SUMMARY:${text(`Forge slot ${entry.slot}: ${entry.recipe} is ready`)}`,
+                `DESCRIPTION:${text(`Started ${new Date(entry.startedAt).toLocaleString()}`)}`,
+                'END:VEVENT'
+            );
+        });
+
+        lines.push('END:VCALENDAR');
+        return lines.join('\r\n') + '\r\n';
+    }
+}
+
+ForgeTracker.HOUR = 60 * 60 * 1000;
+
+// Forge slots a player can unlock
+ForgeTracker.MAX_SLOTS = 7;
+
+// Calendar events get a short length so calendars show them as a block at the finish time
+ForgeTracker.EVENT_LENGTH = 15 * 60 * 1000;
+
+ForgeTracker.STORAGE_KEY = 'hypixel-forge-tracker';
+
+// Make it globally available
+if (typeof window !== 'undefined') {
+    window.ForgeTracker = ForgeTracker;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ForgeTracker;
+}
@@ -0,0 +1,141 @@
+/**
+ * Forge Watchlist
+ *
+ * Recipes pinned with a rule each, e.g. "Mithril Plate profit/hour above 2M". Every time the
+ * worker sends new prices the rules are checked against the watched recipes' calculations, and
+ * a rule that wasn't met before and is now is returned as triggered so the page can alert.
+ * A rule is also triggered by the first check after the page loads if it's already met.
+ *
+ * The rules are saved in localStorage.
+ *
+ * Usage:
+ * const watchlist = new ForgeWatchlist(ForgeWatchlist.loadRules());
+ * watchlist.add({ recipe: 'Mithril Plate', metric: 'profitPerHour', comparison: 'above', threshold: 2000000 });
+ * const { statuses, triggered } = watchlist.evaluate(values); // values from ForgeProfitEngine.getWatchValues()
+ */
+class ForgeWatchlist {
+    /**
+     * @param {Object[]} rules - { id, recipe, metric, comparison, threshold }, see validateRule()
+     */
+    constructor(rules) {
+        rules.forEach(rule => ForgeWatchlist.validateRule(rule));
+        this.rules = rules.map(rule => ({ ...rule }));
+
+        // Rule id -> whether it was met at the last check, rules not checked yet aren't listed
+        this.met = new Map();
+    }
+
+    /**
+     * @param {Object} rule
+     * @param {number} rule.id - Unique within the watchlist
+     * @param {string} rule.recipe - Recipe name
+     * @param {string} rule.metric - One of ForgeWatchlist.METRICS
+     * @param {string} rule.comparison - 'above' or 'below'
+     * @param {number} rule.threshold - Coins
+     */
+    static validateRule(rule) {
+        if (!Number.isInteger(rule.id)) {
+            throw new Error(`Invalid watchlist rule id: ${rule.id}`);
+        }
+        if (typeof rule.recipe !== 'string' || rule.recipe === '') {
+            throw new Error('Watchlist rule without a recipe');
+        }
+        if (!(rule.metric in ForgeWatchlist.METRICS)) {
+            throw new Error(`Unknown watchlist metric: ${rule.metric}`);
+        }
+        if (rule.comparison !== 'above' && rule.comparison !== 'below') {
+            throw new Error(`Unknown watchlist comparison: ${rule.comparison}`);
+        }
+        if (!Number.isFinite(rule.threshold)) {
+            throw new Error(`Invalid watchlist threshold: ${rule.threshold}`);
+        }
+    }
+
+    static loadRules() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(ForgeWatchlist.STORAGE_KEY));
+            if (saved) {
+                // Validates the saved rules
+                new ForgeWatchlist(saved);
+                return saved;
+            }
+        } catch (error) {
+            console.warn('Ignoring saved forge watchlist:', error);
+        }
+        return [];
+    }
+
+    save() {
+        localStorage.setItem(ForgeWatchlist.STORAGE_KEY, JSON.stringify(this.rules));
+    }
+
+    /**
+     * Add a rule and save the watchlist
+     * @param {Object} rule - { recipe, metric, comparison, threshold }, the id is assigned here
+     * @returns {Object} The added rule
+     */
+    add(rule) {
+        const added = { ...rule, id: Math.max(0, ...this.rules.map(existing => existing.id)) + 1 };
+        ForgeWatchlist.validateRule(added);
+
+        this.rules.push(added);
+        this.save();
+        return added;
+    }
+
+    /**
+     * Remove a rule and save the watchlist
+     */
+    remove(id) {
+        this.rules = this.rules.filter(rule => rule.id !== id);
+        this.met.delete(id);
+        this.save();
+    }
+
+    /**
+     * Names of the watched recipes, for ForgeProfitEngine.getWatchValues()
+     */
+    recipeNames() {
+        return Array.from(new Set(this.rules.map(rule => rule.recipe)));
+    }
+
+    /**
+     * Check every rule against fresh values
+     * @param {Object} values - Recipe name -> { profit, profitPerHour, inputCost, outputValue, priced }
+     * @returns {Object} { statuses, triggered } where statuses are { rule, value, met } for every rule, value
+     *                   null when the recipe isn't priced (its rule counts as not met), and triggered lists
+     *                   the statuses of rules that just became met
+     */
+    evaluate(values) {
+        const statuses = this.rules.map(rule => {
+            const recipe = values[rule.recipe];
+            const value = recipe && recipe.priced ? recipe[rule.metric] : null;
+            const met = value !== null && (rule.comparison === 'above' ? value > rule.threshold : value < rule.threshold);
+            return { rule, value, met };
+        });
+
+        const triggered = statuses.filter(status => status.met && !this.met.get(status.rule.id));
+        statuses.forEach(status => this.met.set(status.rule.id, status.met));
+
+        return { statuses, triggered };
+    }
+}
+
+// What a rule can watch, with its label
+ForgeWatchlist.METRICS = {
+    profitPerHour: 'Profit/hour',
+    profit: 'Net profit',
+    inputCost: 'Input cost',
+    outputValue: 'Sell price'
+};
+
+ForgeWatchlist.STORAGE_KEY = 'hypixel-forge-watchlist';
+
+// Make it globally available
+if (typeof window !== 'undefined') {
+    window.ForgeWatchlist = ForgeWatchlist;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ForgeWatchlist;
+}
@@ -0,0 +1,289 @@
+/**
+ * Forge Worker
+ *
+ * Runs the forge calculator's price fetching, parsing and profit math (ForgeProfitEngine)
+ * off the main thread. The page only sends its settings and renders the results.
+ *
+ * Messages from the page:
+ * - { type: 'settings', price, time, chain, progression, filters } - settings for ForgeProfitEngine
+ *       setPriceSettings(), setTimeSettings(), setChainOverrides() and setProgression(), filters for
+ *       getResults(); the first one starts loading
+ * - { type: 'refresh' }                  - refetch every price, bypassing the cache
+ * - { type: 'loadSnapshot', file }       - price everything from a snapshot File
+ * - { type: 'exportSnapshot' }           - export the prices currently loaded
+ * - { type: 'plan', options }            - plan a day of forging with ForgePlanner.plan(options)
+ * - { type: 'portfolio', options }       - pick recipes for a budget with ForgePortfolio.optimize(options)
+ * - { type: 'shoppingList', selection }  - total the inputs of the selected recipes, see getShoppingList()
+ * - { type: 'detail', name, choices }    - price one recipe with per-input choices, see getRecipeDetail()
+ * - { type: 'stock', stock }            - recipes the player's stock covers, see getStockCoverage()
+ * - { type: 'watch', names }             - recipes the page's watchlist and forge tracker follow, their values
+ *                                          follow every result
+ *
+ * Messages to the page:
+ * - { type: 'results', id, recipes, lastUpdated, updated } - sorted recipes with their calculations,
+ *                                                            updated names the recipes an auto-refresh moved
+ * - { type: 'trends', id, trends }       - recipe name -> trend markup for the results with the same id
+ * - { type: 'requirementKeys', keys, recorded, total } - collection and quest requirements of the recipes, and
+ *       how many of the recipes have their requirements recorded, once loaded
+ * - { type: 'recipeList', recipes }     - every recipe's { name, baseHours }, once loaded
+ * - { type: 'stockCoverage', coverage, error } - the recipes the stock covers, or why it couldn't be checked
+ * - { type: 'watchValues', values }      - values of the watched recipes, see getWatchValues()
+ * - { type: 'snapshot', snapshot }       - exported snapshot
+ * - { type: 'priceSource', label }       - prices now come from a snapshot
+ * - { type: 'plan', plan, error }        - the planned day, or why it couldn't be planned
+ * - { type: 'portfolio', portfolio, error } - the picked recipes, or why none could be picked
+ * - { type: 'shoppingList', list, error } - the totalled shopping list, or why it couldn't be totalled
+ * - { type: 'detail', detail, error }    - the priced recipe for the detail view, or why it couldn't be priced
+ * - { type: 'error', message }
+ */
+importScripts(
+    'apis/item-registry.js',
+    'apis/price-providers.js',
+    'apis/price-cache-store.js',
+    'apis/request-scheduler.js',
+    'apis/price-history-store.js',
+    'apis/coflnet-api.js',
+    'price-trend.js',
+    'market-fees.js',
+    'forge-time-modifiers.js',
+    'forge-recipe-graph.js',
+    'forge-progression.js',
+    'forge-profit-engine.js',
+    'forge-planner.js',
+    'forge-portfolio.js'
+);
+
+const priceAPI = new PriceAPI();
+const engine = new ForgeProfitEngine(priceAPI);
+
+// Filters of the latest 'settings' message
+let filters = null;
+
+// Results are only posted once the recipes and their prices have loaded
+let ready = false;
+
+// Recipes the page's watchlist and forge tracker follow
+let watched = [];
+
+// Numbers each set of results, so trends that arrive after newer results can be dropped
+let resultsId = 0;
+
+/**
+ * Send the sorted results, then their trends once the history has loaded
+ * @param {string[]} updated - Recipes whose prices moved in the last auto-refresh
+ */
+async function postResults(updated = []) {
+    const id = ++resultsId;
+    const recipes = engine.getResults(filters);
+    self.postMessage({ type: 'results', id, recipes, lastUpdated: engine.lastPriceUpdate, updated });
+    postWatchValues();
+
+    const trends = await engine.getTrends(recipes);
+    self.postMessage({ type: 'trends', id, trends });
+}
+
+function postWatchValues() {
+    if (watched.length > 0) {
+        self.postMessage({ type: 'watchValues', values: engine.getWatchValues(watched) });
+    }
+}
+
+function postError(message, error) {
+    console.error(`${message}:`, error);
+    self.postMessage({ type: 'error', message });
+}
+
+async function start() {
+    try {
+        // Initialize the API first (fetches all price data)
+        await priceAPI.initialize();
+
+        // Auto-refresh only updates PriceAPI, send the recipes it touched. Updates before the
+        // recipes are priced are covered by the first results.
+        priceAPI.on('update', async (update) => {
+            if (!ready) {
+                return;
+            }
+            const updated = await engine.handlePriceUpdate(update);
+            if (updated.length > 0) {
+                await postResults(updated);
+            }
+        });
+
+        // Enable auto-refresh for price data (handles both bazaar and auction)
+        priceAPI.startAutoRefresh(60000); // Every 60 seconds
+
+        await engine.loadItemsAndRecipes('../jsons/forge-recipes.json');
+        self.postMessage({
+            type: 'requirementKeys',
+            keys: ForgeProgression.requirementKeys(engine.recipes),
+            recorded: engine.recipes.filter(recipe => recipe.requirements).length,
+            total: engine.recipes.length
+        });
+        self.postMessage({
+            type: 'recipeList',
+            recipes: engine.recipes.map(recipe => ({ name: recipe.name, baseHours: engine.getBaseHours(recipe) }))
+        });
+        await engine.loadPrices();
+        ready = true;
+        await postResults();
+
+        // Recipes were priced from cached prices if there were any, re-price once they're refreshed
+        await priceAPI.whenRefreshed();
+        await engine.loadPrices();
+        await postResults();
+    } catch (error) {
+        postError('Failed to initialize calculator', error);
+    }
+}
+
+async function refresh() {
+    try {
+        // Force refresh prices (bypasses cache for both bazaar and auction)
+        await priceAPI.forceRefresh();
+        await engine.loadPrices();
+        await postResults();
+    } catch (error) {
+        postError('Failed to load market prices', error);
+    }
+}
+
+/**
+ * Price everything from a snapshot file instead of the live APIs.
+ * Auto-refresh is stopped since a snapshot never changes; reload the page to go back to live prices.
+ */
+async function loadSnapshot(file) {
+    try {
+        const provider = await SnapshotPriceProvider.fromFile(file);
+
+        priceAPI.stopAutoRefresh();
+        // Snapshot prices aren't persisted or recorded, the cache and history keep the live prices
+        priceAPI.setProviders({ bazaarProvider: provider, auctionProvider: provider, cacheStore: null, historyStore: null });
+        await priceAPI.forceRefresh();
+
+        self.postMessage({
+            type: 'priceSource',
+            label: `Snapshot: ${provider.label} (${new Date(provider.createdAt).toLocaleString()})`
+        });
+
+        await engine.loadPrices();
+        await postResults();
+    } catch (error) {
+        postError(`Failed to load price snapshot: ${error.message}`, error);
+    }
+}
+
+/**
+ * Plan a day of forging with the recipes currently ranked
+ */
+function plan(options) {
+    if (!ready) {
+        self.postMessage({ type: 'plan', plan: null, error: 'Prices are still loading' });
+        return;
+    }
+
+    try {
+        const planner = new ForgePlanner(engine.getPlannerRecipes(filters));
+        self.postMessage({ type: 'plan', plan: planner.plan(options), error: null });
+    } catch (error) {
+        self.postMessage({ type: 'plan', plan: null, error: error.message });
+    }
+}
+
+/**
+ * Pick recipes for the player's budget from the recipes currently ranked
+ */
+function optimizePortfolio(options) {
+    if (!ready) {
+        self.postMessage({ type: 'portfolio', portfolio: null, error: 'Prices are still loading' });
+        return;
+    }
+
+    try {
+        const portfolio = new ForgePortfolio(engine.getPlannerRecipes(filters));
+        self.postMessage({ type: 'portfolio', portfolio: portfolio.optimize(options), error: null });
+    } catch (error) {
+        self.postMessage({ type: 'portfolio', portfolio: null, error: error.message });
+    }
+}
+
+self.onmessage = (event) => {
+    const message = event.data;
+
+    switch (message.type) {
+        case 'settings': {
+            const first = filters === null;
+            try {
+                engine.setPriceSettings(message.price);
+                engine.setTimeSettings(message.time);
+                engine.setChainOverrides(message.chain);
+                engine.setProgression(message.progression);
+            } catch (error) {
+                postError(`Invalid settings: ${error.message}`, error);
+                break;
+            }
+            filters = message.filters;
+
+            if (first) {
+                start();
+            } else if (ready) {
+                postResults();
+            }
+            break;
+        }
+        case 'refresh':
+            refresh();
+            break;
+        case 'loadSnapshot':
+            loadSnapshot(message.file);
+            break;
+        case 'plan':
+            plan(message.options);
+            break;
+        case 'portfolio':
+            optimizePortfolio(message.options);
+            break;
+        case 'shoppingList':
+            // Prices load before any recipe can be selected
+            if (ready) {
+                try {
+                    self.postMessage({ type: 'shoppingList', list: engine.getShoppingList(message.selection), error: null });
+                } catch (error) {
+                    self.postMessage({ type: 'shoppingList', list: null, error: error.message });
+                }
+            }
+            break;
+        case 'detail':
+            // Prices load before any recipe can be opened
+            if (ready) {
+                try {
+                    self.postMessage({ type: 'detail', detail: engine.getRecipeDetail(message.name, message.choices), error: null });
+                } catch (error) {
+                    self.postMessage({ type: 'detail', detail: null, error: error.message });
+                }
+            }
+            break;
+        case 'stock':
+            if (!ready) {
+                self.postMessage({ type: 'stockCoverage', coverage: null, error: 'Prices are still loading' });
+                break;
+            }
+            try {
+                self.postMessage({ type: 'stockCoverage', coverage: engine.getStockCoverage(message.stock), error: null });
+            } catch (error) {
+                self.postMessage({ type: 'stockCoverage', coverage: null, error: error.message });
+            }
+            break;
+        case 'watch':
+            watched = message.names;
+            if (ready) {
+                postWatchValues();
+            }
+            break;
+        case 'exportSnapshot':
+            self.postMessage({ type: 'snapshot', snapshot: priceAPI.exportSnapshot() });
+            break;
+        default:
+            console.error(`Unknown forge worker message: ${message.type}`);
+    }
+};
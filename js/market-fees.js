@@ -0,0 +1,174 @@
+/**
+ * Market Fees
+ *
+ * What selling actually costs, so calculators can show gross, fees and net side by side:
+ * - bazaar sell tax on instant sells and sell offers, lowered by the Bazaar Flipper account upgrade
+ * - auction listing fee, a share of the listing price that depends on its price tier
+ * - auction duration fee, a flat fee per listing duration
+ * - auction claim tax, taken when collecting the coins of a large sale
+ * Mayor perks scale these, see MarketFees.MAYOR_PERKS. Buying is never taxed.
+ *
+ * The fee settings are shared by every calculator page through localStorage,
+ * each page binds its own copy of the controls with MarketFees.bindControls().
+ *
+ * Usage:
+ * const fees = new MarketFees({ bazaarFlipperLevel: 0, auctionDuration: 48, mayorPerk: 'none' });
+ * const sale = fees.sellFees('auction', 120000000, 1); // { gross, fees, net }
+ */
+class MarketFees {
+    /**
+     * @param {Object} settings
+     * @param {number} settings.bazaarFlipperLevel - Bazaar Flipper account upgrade level (index into rates.bazaarTax)
+     * @param {number} settings.auctionDuration - Listing duration in hours (a key of rates.auctionDurationFees)
+     * @param {string} settings.mayorPerk - Key of MarketFees.MAYOR_PERKS
+     * @param {Object} rates - Fee rates and tiers, same shape as MarketFees.RATES
+     */
+    constructor(settings, rates = MarketFees.RATES) {
+        if (rates.bazaarTax[settings.bazaarFlipperLevel] === undefined) {
+            throw new Error(`Unknown Bazaar Flipper level: ${settings.bazaarFlipperLevel}`);
+        }
+        if (rates.auctionDurationFees[settings.auctionDuration] === undefined) {
+            throw new Error(`Unknown auction duration: ${settings.auctionDuration}h`);
+        }
+        if (!MarketFees.MAYOR_PERKS[settings.mayorPerk]) {
+            throw new Error(`Unknown mayor perk: ${settings.mayorPerk}`);
+        }
+
+        this.settings = { ...settings };
+        this.rates = rates;
+        this.perk = MarketFees.MAYOR_PERKS[settings.mayorPerk];
+    }
+
+    /**
+     * Settings saved by any calculator page, or DEFAULT_SETTINGS if none were saved (or they're unreadable)
+     */
+    static loadSettings() {
+        try {
+            const saved = JSON.parse(localStorage.getItem(MarketFees.STORAGE_KEY));
+            if (saved) {
+                // Validates the saved settings, e.g. a mayor perk that has since been removed
+                new MarketFees(saved);
+                return saved;
+            }
+        } catch (error) {
+            console.warn('Ignoring saved market fee settings:', error);
+        }
+        return { ...MarketFees.DEFAULT_SETTINGS };
+    }
+
+    static saveSettings(settings) {
+        localStorage.setItem(MarketFees.STORAGE_KEY, JSON.stringify(settings));
+    }
+
+    /**
+     * Wire the fee setting selects (#feeMayorPerk, #feeBazaarFlipper, #feeAuctionDuration)
+     * to the shared settings
+     * @param {Function} onChange - Called with the new MarketFees whenever a setting changes
+     * @returns {MarketFees} Fees for the current settings
+     */
+    static bindControls(onChange) {
+        const settings = MarketFees.loadSettings();
+        const controls = {
+            mayorPerk: document.getElementById('feeMayorPerk'),
+            bazaarFlipperLevel: document.getElementById('feeBazaarFlipper'),
+            auctionDuration: document.getElementById('feeAuctionDuration')
+        };
+
+        Object.entries(controls).forEach(([key, control]) => {
+            control.value = settings[key];
+            control.addEventListener('change', () => {
+                settings[key] = key === 'mayorPerk' ? control.value : parseInt(control.value);
+                MarketFees.saveSettings(settings);
+                onChange(new MarketFees(settings));
+            });
+        });
+
+        return new MarketFees(settings);
+    }
+
+    bazaarTaxRate() {
+        return this.rates.bazaarTax[this.settings.bazaarFlipperLevel] * this.perk.bazaarTax;
+    }
+
+    /**
+     * Listing fee rate for the tier the total listing price falls in
+     */
+    auctionListingRate(listingPrice) {
+        const tier = this.rates.auctionListingTiers.find(t => listingPrice < t.maxPrice);
+        return tier.rate * this.perk.auctionListing;
+    }
+
+    auctionDurationFee() {
+        return this.rates.auctionDurationFees[this.settings.auctionDuration] * this.perk.auctionDuration;
+    }
+
+    /**
+     * Claim tax on the coins collected from a sale, sales below the threshold are untaxed
+     */
+    auctionClaimTax(salePrice) {
+        const claim = this.rates.auctionClaimTax;
+        return salePrice >= claim.minPrice ? salePrice * claim.rate * this.perk.auctionClaim : 0;
+    }
+
+    /**
+     * Fees for selling a quantity of an item. Auction sales are one listing for the whole quantity.
+     * @param {string} source - 'bazaar' or 'auction', anything else (e.g. coins) has no fees
+     * @param {number} unitPrice - Price per unit in coins
+     * @param {number} quantity - Units sold
+     * @returns {Object} { gross, fees, net }
+     */
+    sellFees(source, unitPrice, quantity) {
+        const gross = unitPrice * quantity;
+        let fees = 0;
+
+        // Nothing is listed when there's no price
+        if (gross > 0) {
+            if (source === 'bazaar') {
+                fees = gross * this.bazaarTaxRate();
+            } else if (source === 'auction') {
+                fees = gross * this.auctionListingRate(gross) + this.auctionDurationFee() + this.auctionClaimTax(gross);
+            }
+        }
+
+        return { gross, fees, net: gross - fees };
+    }
+}
+
+// Fee rates and tiers
+MarketFees.RATES = {
+    // Bazaar sell tax by Bazaar Flipper account upgrade level (0-2)
+    bazaarTax: [0.0125, 0.01125, 0.01],
+    // Auction listing fee: the first tier the listing price is under
+    auctionListingTiers: [
+        { maxPrice: 10000000, rate: 0.01 },
+        { maxPrice: 100000000, rate: 0.02 },
+        { maxPrice: Infinity, rate: 0.025 }
+    ],
+    // Auction duration fee in coins by listing duration in hours
+    auctionDurationFees: { 1: 20, 6: 45, 12: 100, 24: 350, 48: 1200 },
+    // Auction claim tax on sales of at least minPrice coins
+    auctionClaimTax: { rate: 0.01, minPrice: 1000000 }
+};
+
+// Multipliers the current mayor's perks apply to each fee
+MarketFees.MAYOR_PERKS = {
+    none: { label: 'None', bazaarTax: 1, auctionListing: 1, auctionDuration: 1, auctionClaim: 1 },
+    // Slashed Pricing: starting an auction costs half as much
+    aatrox: { label: 'Aatrox (Slashed Pricing)', bazaarTax: 1, auctionListing: 0.5, auctionDuration: 0.5, auctionClaim: 1 },
+    // QUAD TAXES!!!: auction house taxes are quadrupled
+    derpy: { label: 'Derpy (QUAD TAXES!!!)', bazaarTax: 1, auctionListing: 4, auctionDuration: 4, auctionClaim: 4 }
+};
+
+// Settings until a page saves its own: no account upgrade, 2-day listings, no mayor perk
+MarketFees.DEFAULT_SETTINGS = { bazaarFlipperLevel: 0, auctionDuration: 48, mayorPerk: 'none' };
+
+MarketFees.STORAGE_KEY = 'hypixel-market-fees';
+
+// Make it globally available
+if (typeof window !== 'undefined') {
+    window.MarketFees = MarketFees;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = MarketFees;
+}
@@ -0,0 +1,98 @@
+/**
+ * Price Trend
+ *
+ * Renders price history from PriceAPI.getHistory() as inline SVG sparklines
+ * with a "% vs 7-day average" badge. Shared by the forge and crystal calculators,
+ * each page styles .price-trend in its own css file.
+ */
+class PriceTrend {
+    /**
+     * Load the history needed for a trend: minute points for the last day, hourly points for the last week
+     * @returns {Promise<Object>} { day, week } point arrays
+     */
+    static async load(priceAPI, itemTag) {
+        const now = Date.now();
+        const [day, week] = await Promise.all([
+            priceAPI.getHistory(itemTag, { from: now - 24 * 60 * 60 * 1000, to: now, resolution: 'minute' }),
+            priceAPI.getHistory(itemTag, { from: now - 7 * 24 * 60 * 60 * 1000, to: now, resolution: 'hour' })
+        ]);
+        return { day, week };
+    }
+
+    /**
+     * Prices for a bazaar side, skipping points where that side of the book was empty
+     */
+    static values(points, side) {
+        const field = PriceAPI.HISTORY_FIELDS[side];
+        return points.map(point => point[field]).filter(value => value !== null && value !== undefined && value > 0);
+    }
+
+    static average(values) {
+        if (values.length === 0) {
+            return null;
+        }
+        return values.reduce((sum, value) => sum + value, 0) / values.length;
+    }
+
+    /**
+     * Inline SVG polyline scaled to the values' own range
+     * @returns {string} SVG markup, empty when there are fewer than 2 values
+     */
+    static sparkline(values, width = 80, height = 20) {
+        if (values.length < 2) {
+            return '';
+        }
+
+        const min = Math.min(...values);
+        const max = Math.max(...values);
+        const range = max - min || 1;
+
+        const coordinates = values.map((value, index) => {
+            const x = (index / (values.length - 1)) * width;
+            const y = height - ((value - min) / range) * height;
+            return `${x.toFixed(1)},${y.toFixed(1)}`;
+        }).join(' ');
+
+        const direction = values[values.length - 1] >= values[0] ? 'trend-up' : 'trend-down';
+        return `<svg class="sparkline ${direction}" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}" preserveAspectRatio="none"><polyline points="${coordinates}" /></svg>`;
+    }
+
+    /**
+     * Markup for a 24h and 7d sparkline plus the "% vs 7-day average" badge
+     * @param {Object} history - Result of PriceTrend.load()
+     * @param {string} side - Bazaar side the current price was taken from
+     * @param {number} currentPrice - Price to compare against the 7-day average
+     */
+    static render(history, side, currentPrice) {
+        const dayValues = PriceTrend.values(history.day, side);
+        const weekValues = PriceTrend.values(history.week, side);
+
+        if (dayValues.length < 2 && weekValues.length < 2) {
+            return '<span class="trend-empty">No price history yet</span>';
+        }
+
+        let badge = '';
+        const weekAverage = PriceTrend.average(weekValues);
+        if (weekAverage && currentPrice > 0) {
+            const percent = ((currentPrice - weekAverage) / weekAverage) * 100;
+            const badgeClass = percent >= 0 ? 'trend-up' : 'trend-down';
+            const sign = percent >= 0 ? '+' : '';
+            badge = `<span class="trend-badge ${badgeClass}" title="Current price vs the 7-day average">${sign}${percent.toFixed(1)}% vs 7d avg</span>`;
+        }
+
+        return `
+            <span class="trend-label">24h</span>${PriceTrend.sparkline(dayValues)}
+            <span class="trend-label">7d</span>${PriceTrend.sparkline(weekValues)}
+            ${badge}
+        `;
+    }
+}
+
+// Make it globally available
+if (typeof window !== 'undefined') {
+    window.PriceTrend = PriceTrend;
+}
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PriceTrend;
+}
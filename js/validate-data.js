@@ -0,0 +1,385 @@
+/**
+ * Data Validator
+ *
+ * Offline checks for the data files the calculators load:
+ * - structure, against the JSON Schemas in jsons/schemas
+ * - things a schema can't express: coin inputs with a coin cost, forge times that add up to
+ *   more than zero, duplicate recipes, repeated drops, corpses without a key, max weight or rolls
+ * - every corpse opening in the CorpseLootSimulator
+ * - every item name resolving through the ItemRegistry (items.json and item-aliases.json)
+ *
+ * Every problem carries the file and JSON path it was found at, e.g.
+ *   forge-recipes.json recipes[12].inputs[1].quantity: must be > 0
+ *
+ * Usage (Node): node js/validate-data.js
+ * Exits with code 1 when there are errors. Problems listed in KNOWN_ISSUES are reported with their
+ * reason instead of failing. The name checks need jsons/items.json, which isn't committed (see the
+ * README); without it they're skipped with a warning, so the structure can be checked offline.
+ */
+class DataValidator {
+    /**
+     * Check a value against a JSON Schema. Supports the draft-07 keywords the schemas in
+     * jsons/schemas use: $ref (to #/definitions), type, enum, required, properties,
+     * additionalProperties, minProperties, items, minItems, minLength, minimum, maximum
+     * and exclusiveMinimum.
+     * @param {Object} schema - Schema for this value
+     * @param {*} value - Value to check
+     * @param {string} path - JSON path of the value, '' for the document
+     * @param {Object} root - Schema $ref is resolved against, defaults to schema
+     * @returns {Object[]} [{ path, message }]
+     */
+    static validateSchema(schema, value, path = '', root = schema) {
+        if (schema.$ref) {
+            const name = schema.$ref.replace('#/definitions/', '');
+            return DataValidator.validateSchema(root.definitions[name], value, path, root);
+        }
+
+        const errors = [];
+        const error = (message) => errors.push({ path: path || '(root)', message });
+
+        if (schema.type && DataValidator.typeOf(value, schema.type) !== schema.type) {
+            error(`must be ${schema.type}, got ${DataValidator.typeOf(value, schema.type)}`);
+            return errors;
+        }
+
+        if (schema.enum && !schema.enum.includes(value)) {
+            error(`must be one of ${schema.enum.map(option => JSON.stringify(option)).join(', ')}, got ${JSON.stringify(value)}`);
+        }
+
+        if (typeof value === 'string' && schema.minLength !== undefined && value.length < schema.minLength) {
+            error(`must be at least ${schema.minLength} characters`);
+        }
+
+        if (typeof value === 'number') {
+            if (schema.minimum !== undefined && value < schema.minimum) {
+                error(`must be >= ${schema.minimum}, got ${value}`);
+            }
+            if (schema.maximum !== undefined && value > schema.maximum) {
+                error(`must be <= ${schema.maximum}, got ${value}`);
+            }
+            if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+                error(`must be > ${schema.exclusiveMinimum}, got ${value}`);
+            }
+        }
+
+        if (Array.isArray(value)) {
+            if (schema.minItems !== undefined && value.length < schema.minItems) {
+                error(`must have at least ${schema.minItems} entries`);
+            }
+            if (schema.items) {
+                value.forEach((item, index) => {
+                    errors.push(...DataValidator.validateSchema(schema.items, item, `${path}[${index}]`, root));
+                });
+            }
+        } else if (value !== null && typeof value === 'object') {
+            const keys = Object.keys(value);
+            const properties = schema.properties || {};
+
+            if (schema.minProperties !== undefined && keys.length < schema.minProperties) {
+                error(`must have at least ${schema.minProperties} properties`);
+            }
+            (schema.required || []).forEach(key => {
+                if (!(key in value)) {
+                    error(`missing required property "${key}"`);
+                }
+            });
+            keys.forEach(key => {
+                const keyPath = path ? `${path}.${key}` : key;
+                if (properties[key]) {
+                    errors.push(...DataValidator.validateSchema(properties[key], value[key], keyPath, root));
+                } else if (schema.additionalProperties === false) {
+                    errors.push({ path: keyPath, message: 'unknown property' });
+                } else if (typeof schema.additionalProperties === 'object') {
+                    errors.push(...DataValidator.validateSchema(schema.additionalProperties, value[key], keyPath, root));
+                }
+            });
+        }
+
+        return errors;
+    }
+
+    /**
+     * JSON Schema type name of a value; numbers count as 'integer' when that's the expected type
+     */
+    static typeOf(value, expected) {
+        if (value === null) {
+            return 'null';
+        }
+        if (Array.isArray(value)) {
+            return 'array';
+        }
+        if (typeof value === 'number' && expected === 'integer') {
+            return Number.isInteger(value) ? 'integer' : 'number';
+        }
+        return typeof value;
+    }
+
+    /**
+     * Checks on forge-recipes.json beyond its schema, only run once the schema passes
+     * @returns {Object} { errors, warnings } - entries are { path, message }
+     */
+    static checkForgeRecipes(data) {
+        const errors = [];
+        const seen = new Map(); // recipe name -> index first seen at
+
+        data.recipes.forEach((recipe, recipeIndex) => {
+            const path = `recipes[${recipeIndex}]`;
+
+            if (seen.has(recipe.name)) {
+                errors.push({ path: `${path}.name`, message: `duplicate recipe "${recipe.name}", first at recipes[${seen.get(recipe.name)}]` });
+            } else {
+                seen.set(recipe.name, recipeIndex);
+            }
+
+            const time = recipe.time;
+            const seconds = (time.days || 0) * 86400 + (time.hours || 0) * 3600 + (time.minutes || 0) * 60 + (time.seconds || 0);
+            if (seconds <= 0) {
+                errors.push({ path: `${path}.time`, message: `forge time of "${recipe.name}" adds up to 0` });
+            }
+
+            recipe.inputs.forEach((input, inputIndex) => {
+                const inputPath = `${path}.inputs[${inputIndex}]`;
+                if (input.source === 'coins' && input.coinCost === undefined) {
+                    errors.push({ path: inputPath, message: 'coins input without a coinCost' });
+                } else if (input.source !== 'coins' && input.coinCost !== undefined) {
+                    errors.push({ path: `${inputPath}.coinCost`, message: `coinCost on a ${input.source} input` });
+                }
+            });
+        });
+
+        return { errors, warnings: [] };
+    }
+
+    /**
+     * Checks on corpse-loot-tables.json beyond its schema, only run once the schema passes. The
+     * simulator is only run once the rest of the checks pass.
+     * @returns {Promise<Object>} { errors, warnings } - entries are { path, message }
+     */
+    static async checkCorpseLootTables(data) {
+        const errors = [];
+        const warnings = [];
+
+        Object.entries(data.corpseDropTables).forEach(([corpse, drops]) => {
+            ['keyNames', 'corpseMaxWeights', 'corpseRolls'].forEach(field => {
+                if (!(corpse in data[field])) {
+                    errors.push({ path: `corpseDropTables.${corpse}`, message: `no entry in ${field} for "${corpse}"` });
+                }
+            });
+
+            // Allowed, the rolls are then picked out of the drop weights (see CorpseLootSimulator.rollWeight)
+            const totalWeight = drops.reduce((sum, drop) => sum + drop.weight, 0);
+            if (totalWeight > data.corpseMaxWeights[corpse]) {
+                warnings.push({
+                    path: `corpseDropTables.${corpse}`,
+                    message: `drop weights add up to ${totalWeight}, more than corpseMaxWeights.${corpse} (${data.corpseMaxWeights[corpse]})`
+                });
+            }
+
+            // The same item can drop in different amounts or from several rolls, so repeated
+            // names are fine; the same name and quantity twice is worth a look
+            const seen = new Map(); // name and quantity -> index first seen at
+            drops.forEach((drop, dropIndex) => {
+                const key = `${drop.name}|${drop.quantity}`;
+                if (seen.has(key)) {
+                    warnings.push({
+                        path: `corpseDropTables.${corpse}[${dropIndex}]`,
+                        message: `${drop.quantity}x "${drop.name}" also at corpseDropTables.${corpse}[${seen.get(key)}]`
+                    });
+                } else {
+                    seen.set(key, dropIndex);
+                }
+            });
+        });
+
+        ['keyNames', 'corpseMaxWeights', 'corpseRolls'].forEach(field => {
+            Object.keys(data[field]).forEach(corpse => {
+                if (!(corpse in data.corpseDropTables)) {
+                    errors.push({ path: `${field}.${corpse}`, message: `no drop table for "${corpse}"` });
+                }
+            });
+        });
+
+        if (errors.length === 0) {
+            errors.push(...await DataValidator.simulateCorpses(data));
+        }
+
+        return { errors, warnings };
+    }
+
+    /**
+     * Open every corpse in the CorpseLootSimulator, so a table the page can't simulate fails here.
+     * Every drop is worth 1 coin, only the rolls are checked.
+     * @returns {Promise<Object[]>} [{ path, message }]
+     */
+    static async simulateCorpses(data) {
+        const CorpseLootSimulator = require('./corpse-loot-simulator.js');
+        const errors = [];
+        for (const [corpse, drops] of Object.entries(data.corpseDropTables)) {
+            try {
+                const simulator = new CorpseLootSimulator({
+                    drops: drops.map(drop => ({ value: 1, weight: drop.weight })),
+                    maxWeight: data.corpseMaxWeights[corpse],
+                    rolls: data.corpseRolls[corpse],
+                    keyPrice: 0
+                });
+                await simulator.simulate({ corpses: 10, trials: 1000, random: Math.random });
+            } catch (error) {
+                errors.push({ path: `corpseDropTables.${corpse}`, message: `simulation failed: ${error.message}` });
+            }
+        }
+        return errors;
+    }
+
+    /**
+     * Validate both data files
+     * @param {Object} files - { forgeRecipes, corpseLootTables, forgeSchema, corpseSchema }
+     * @param {ItemRegistry|null} registry - Registry item names are resolved with, null skips the name checks
+     * @returns {Promise<Object>} { errors, warnings, known } - entries are { file, path, message }, known are
+     *                   the errors and warnings matching KNOWN_ISSUES, with their reason
+     */
+    static async validate(files, registry) {
+        const errors = [];
+        const warnings = [];
+        const add = (list, file, entries) => entries.forEach(entry => list.push({ file, ...entry }));
+
+        const checks = [
+            { file: 'forge-recipes.json', data: files.forgeRecipes, schema: files.forgeSchema, check: DataValidator.checkForgeRecipes },
+            { file: 'corpse-loot-tables.json', data: files.corpseLootTables, schema: files.corpseSchema, check: DataValidator.checkCorpseLootTables }
+        ];
+
+        let structureValid = true;
+        for (const { file, data, schema, check } of checks) {
+            const schemaErrors = DataValidator.validateSchema(schema, data);
+            add(errors, file, schemaErrors);
+
+            // The data checks assume the structure is right
+            if (schemaErrors.length === 0) {
+                const result = await check(data);
+                add(errors, file, result.errors);
+                add(warnings, file, result.warnings);
+            } else {
+                structureValid = false;
+            }
+        }
+
+        // Item names are only walked once both files have the expected structure
+        if (structureValid && registry) {
+            const report = registry.buildReport(files.forgeRecipes, files.corpseLootTables);
+            report.unresolved.forEach(entry => errors.push({ file: entry.file, path: entry.path, message: `unknown item "${entry.name}"` }));
+            report.fuzzy.forEach(entry => warnings.push({
+                file: entry.file,
+                path: entry.path,
+                message: `"${entry.name}" only fuzzy matches ${entry.tag} ("${entry.matchedName}"), add an alias if correct`
+            }));
+            report.brokenAliases.forEach(entry => errors.push({
+                file: 'item-aliases.json',
+                path: `aliases["${entry.alias}"]`,
+                message: `points at ${entry.tag}, which isn't in items.json`
+            }));
+        }
+
+        return DataValidator.separateKnownIssues({ errors, warnings });
+    }
+
+    /**
+     * Move the errors and warnings listed in KNOWN_ISSUES out of the result, and warn about listed
+     * issues that aren't found anymore so the list doesn't outlive the problems
+     * @returns {Object} { errors, warnings, known }
+     */
+    static separateKnownIssues(result) {
+        const known = [];
+        const used = new Set();
+        const isKnown = (entry) => {
+            const issue = DataValidator.KNOWN_ISSUES.find(issue => issue.file === entry.file && issue.path === entry.path);
+            if (!issue) return false;
+            used.add(issue);
+            known.push({ ...entry, reason: issue.reason });
+            return true;
+        };
+
+        const errors = result.errors.filter(entry => !isKnown(entry));
+        const warnings = result.warnings.filter(entry => !isKnown(entry));
+        DataValidator.KNOWN_ISSUES.filter(issue => !used.has(issue)).forEach(issue => warnings.push({
+            file: issue.file,
+            path: issue.path,
+            message: 'listed in DataValidator.KNOWN_ISSUES but not found anymore, remove it from the list'
+        }));
+
+        return { errors, warnings, known };
+    }
+
+    static formatResult(result) {
+        const lines = [];
+        const format = (entry) => `  ${entry.file} ${entry.path}: ${entry.message}`;
+
+        lines.push(`Errors (${result.errors.length}):`);
+        result.errors.forEach(entry => lines.push(format(entry)));
+
+        lines.push(`\nWarnings (${result.warnings.length}):`);
+        result.warnings.forEach(entry => lines.push(format(entry)));
+
+        lines.push(`\nKnown issues (${result.known.length}):`);
+        result.known.forEach(entry => lines.push(`${format(entry)}\n    known: ${entry.reason}`));
+
+        return lines.join('\n');
+    }
+}
+
+// Data problems that are known and accepted for now, matched by file and path. They're reported
+// with the reason instead of failing the validation; fix the data and drop the entry when a source
+// turns up.
+DataValidator.KNOWN_ISSUES = [
+    {
+        file: 'forge-recipes.json',
+        path: 'recipes[71].time',
+        reason: 'no source for the Blue Cheese Goblin Omelette forge time yet; the page ranks it at 0 coins per hour'
+    },
+    {
+        file: 'corpse-loot-tables.json',
+        path: 'corpseDropTables.lapis',
+        reason: 'the reported Lapis drops outweigh its max weight, chances are worked out of the summed weights (CorpseLootSimulator.rollWeight)'
+    },
+    {
+        file: 'corpse-loot-tables.json',
+        path: 'corpseDropTables.lapis[10]',
+        reason: 'Refined Umber is listed twice with the same weight in the drop reports, kept until it is known whether both are real'
+    },
+    {
+        file: 'corpse-loot-tables.json',
+        path: 'corpseDropTables.lapis[45]',
+        reason: 'Goblin Egg is listed twice, with weights 700 and 800, in the drop reports, kept until it is known whether both are real'
+    }
+];
+
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = DataValidator;
+
+    // Validation: node js/validate-data.js
+    if (require.main === module) {
+        const path = require('path');
+        const fs = require('fs');
+        const ItemRegistry = require('./apis/item-registry.js');
+        const jsonsPath = path.join(__dirname, '..', 'jsons');
+        const readJSON = (file) => JSON.parse(fs.readFileSync(path.join(jsonsPath, file), 'utf8'));
+
+        // Without items.json every name would be unknown, so the name checks are skipped instead
+        const itemsPath = path.join(jsonsPath, 'items.json');
+        const registry = fs.existsSync(itemsPath)
+            ? ItemRegistry.fromPaths(itemsPath, path.join(jsonsPath, 'item-aliases.json'))
+            : null;
+
+        DataValidator.validate({
+            forgeRecipes: readJSON('forge-recipes.json'),
+            corpseLootTables: readJSON('corpse-loot-tables.json'),
+            forgeSchema: readJSON('schemas/forge-recipes.schema.json'),
+            corpseSchema: readJSON('schemas/corpse-loot-tables.schema.json')
+        }, registry).then(result => {
+            if (!registry) {
+                result.warnings.unshift({ file: 'items.json', path: '(root)', message: `not found at ${itemsPath}, item names weren't checked (see the README)` });
+            }
+
+            console.log(DataValidator.formatResult(result));
+            process.exitCode = result.errors.length > 0 ? 1 : 0;
+        });
+    }
+}